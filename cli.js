@@ -0,0 +1,495 @@
+#!/usr/bin/env node
+// ============================================================
+// BHAJAN SCHEDULER - Convenor command-line tool
+// Uses the same database and helpers as main.js; no server needed.
+// Run from the directory that holds bhajans.db.
+// ============================================================
+
+const fs = require('fs');
+const os = require('os');
+const PDFDocument = require('pdfkit');
+const {
+  sequelize,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  BhajanSubmission,
+  Session,
+  DATE_PATTERN,
+  INITIAL_RECURRENCE,
+  readSessionFields,
+  formatSessionLabel,
+  findSessionForDate,
+  getUpcomingSessions,
+  generateUpcomingSessions,
+  getSlotBoard,
+  describeOverrun,
+  getExportPlan,
+  exportFileName,
+  planToCsv,
+  writePlanPdf,
+  sessionToIcsEvent,
+  buildIcsCalendar,
+  generatePrintPlanHtml,
+  getMessageTemplate,
+  renderPlanMessage,
+  getSessionPlan,
+  getSessionTimeline,
+  moveSubmission,
+  reorderSubmission,
+  prepareImport,
+  applyImport,
+  User,
+  ROLES,
+  createUser,
+  withAuditActor,
+  publishPlanVersion,
+  getPlanChanges,
+  runNotifications
+} = require('./main');
+
+// ============================================================
+// ARGUMENT HELPERS
+// ============================================================
+
+// Split "--name=value" and "--flag" options from positional arguments
+function parseArgs(args) {
+  const options = {};
+  const positional = [];
+  args.forEach(arg => {
+    const match = arg.match(/^--([\w-]+)(?:=(.*))?$/);
+    if (match) options[match[1]] = match[2] === undefined ? true : match[2];
+    else positional.push(arg);
+  });
+  return { options, positional };
+}
+
+// Errors worth showing as they are, rather than with a stack trace
+class CommandError extends Error {}
+class UsageError extends CommandError {}
+
+// A session named by id, by date (the first session that day) or as "next"
+async function findSession(name) {
+  if (!name) throw new UsageError("Name a session by id, date or \"next\".");
+  
+  let session = null;
+  if (name === "next") [session] = await getUpcomingSessions(1);
+  else if (/^\d+$/.test(name)) session = await Session.findByPk(name);
+  else if (DATE_PATTERN.test(name)) session = await findSessionForDate(name);
+  else throw new UsageError(`"${name}" is not a session id, date or "next".`);
+  
+  if (!session) throw new CommandError(`No session found for "${name}".`);
+  return session;
+}
+
+async function findSubmission(id) {
+  const item = /^\d+$/.test(id || "") ? await BhajanSubmission.findByPk(id) : null;
+  if (!item) throw new CommandError(`No submission with id "${id}".`);
+  return item;
+}
+
+// Changes to a finalised plan go through /admin, where it can be reopened
+function ensureDraft(session) {
+  if (session.plan_status === "final") {
+    throw new CommandError(`The plan for ${formatSessionLabel(session)} is final. Reopen it in /admin first.`);
+  }
+}
+
+function pad(value, width) {
+  const text = String(value === null || value === undefined ? "" : value);
+  return text.length >= width ? text : text + " ".repeat(width - text.length);
+}
+
+// ============================================================
+// COMMANDS
+// ============================================================
+
+async function importCommand({ options, positional }) {
+  const [file] = positional;
+  if (!file) throw new UsageError("Name the file to import.");
+  
+  const text = fs.readFileSync(file === "-" ? 0 : file, "utf8");
+  const prepared = await prepareImport(text, options.format);
+  
+  prepared.errors.forEach(error => console.log(`line ${error.line}: ${error.message}`));
+  prepared.entries.forEach(entry => {
+    const note = entry.note ? ` (${entry.note})` : "";
+    console.log(`line ${entry.line}: ${entry.status} ${entry.session_date} [${entry.deity}] ${entry.title} – ${entry.singer_name}${note}`);
+  });
+  
+  const newCount = prepared.entries.filter(entry => entry.status === "new").length;
+  const duplicateCount = prepared.entries.filter(entry => entry.status === "duplicate").length;
+  console.log(`\nRead as ${prepared.format}: ${newCount} new, ${duplicateCount} duplicate, ${prepared.errors.length} unreadable line(s).`);
+  
+  if (options["dry-run"]) {
+    console.log("Dry run: nothing was saved.");
+    return;
+  }
+  
+  const { created, errors } = await applyImport(prepared);
+  errors.forEach(error => console.log(`line ${error.line}: ${error.message}`));
+  console.log(`Imported ${created} bhajan(s).`);
+  if (errors.length > 0) process.exitCode = 1;
+}
+
+async function sessionsCommand({ options }) {
+  const sessions = options.all
+    ? await Session.findAll({ order: [['session_date', 'ASC'], ['start_time', 'ASC']] })
+    : await getUpcomingSessions();
+  
+  for (const session of sessions) {
+    const { progress } = await getSlotBoard(session);
+    console.log(`${pad(session.id, 5)} ${pad(formatSessionLabel(session), 60)} ${pad(session.plan_status, 6)} ` +
+      `${progress.mandatoryFilled}/${progress.mandatoryTotal} mandatory`);
+  }
+  if (sessions.length === 0) console.log("No sessions.");
+}
+
+async function planCommand({ options, positional }) {
+  const session = await findSession(positional[0]);
+  const sorted = await getSessionPlan(session);
+  const timeline = await getSessionTimeline(session, sorted);
+  
+  if (options.whatsapp) {
+    const template = await getMessageTemplate(options.whatsapp === true ? null : options.whatsapp);
+    console.log(renderPlanMessage(template, session, sorted, timeline));
+    return;
+  }
+  if (options.changes) {
+    const { message } = await getPlanChanges(session);
+    if (!message) throw new CommandError(`The plan for ${formatSessionLabel(session)} has not been published yet.`);
+    console.log(message);
+    return;
+  }
+  
+  console.log(`${formatSessionLabel(session)} – ${session.plan_status === "final" ? "final" : "draft"}\n`);
+  sorted.forEach((item, index) => {
+    const singers = item.partner_name ? `${item.singer_name} (${item.partner_name})` : item.singer_name;
+    console.log(`${pad(timeline.items[index].start_time, 6)}${pad(`${index + 1})`, 4)}${pad(`[${item.deity}]`, 14)}` +
+      `${item.title} – ${singers} – ${item.scale || "N/A"}, ${item.speed}  #${item.id}`);
+  });
+  if (sorted.length === 0) console.log("No bhajans yet.");
+  console.log(`${pad(timeline.closing.start_time, 6)}    ${timeline.closing.label}`);
+  
+  const overrun = describeOverrun(timeline);
+  console.log(`\n${overrun || `Expected to finish around ${timeline.finish_time}.`}`);
+}
+
+async function publishCommand({ positional }) {
+  const session = await findSession(positional[0]);
+  const { version, created } = await publishPlanVersion(session, null);
+  console.log(created
+    ? `Published version ${version.version} of ${formatSessionLabel(session)} (${version.items.length} bhajans).`
+    : `Nothing has changed since version ${version.version}; no new version.`);
+}
+
+async function unfilledCommand({ positional }) {
+  const session = await findSession(positional[0]);
+  const { deityStatus } = await getSlotBoard(session);
+  const unfilled = Object.entries(deityStatus)
+    .filter(([, status]) => status.mandatory && !status.taken)
+    .map(([deity]) => deity);
+  
+  if (unfilled.length === 0) console.error(`All mandatory deities are filled for ${formatSessionLabel(session)}.`);
+  unfilled.forEach(deity => console.log(deity));
+}
+
+const EXPORT_FORMATS = ["csv", "pdf", "ics", "html", "text"];
+
+async function exportCommand({ options, positional }) {
+  const session = await findSession(positional[0]);
+  const format = options.format || "csv";
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new UsageError(`Format must be one of ${EXPORT_FORMATS.join(", ")}.`);
+  }
+  
+  const out = typeof options.out === "string" ? options.out : exportFileName(session, format === "text" ? "txt" : format);
+  const stream = out === "-" ? process.stdout : fs.createWriteStream(out);
+  const { plan, timeline } = await getExportPlan(session);
+  
+  if (format === "pdf") {
+    const doc = new PDFDocument({ size: "A4", margin: 40, info: { Title: `Bhajan Plan – ${session.session_date}` } });
+    doc.pipe(stream);
+    writePlanPdf(doc, session, plan, timeline);
+    doc.end();
+  } else {
+    let content;
+    if (format === "csv") content = planToCsv(plan);
+    if (format === "ics") content = buildIcsCalendar([sessionToIcsEvent(session, plan, timeline)]);
+    if (format === "html") content = generatePrintPlanHtml(session, plan, timeline);
+    if (format === "text") {
+      const template = await getMessageTemplate(options.template);
+      content = renderPlanMessage(template, session, await getSessionPlan(session), timeline) + "\n";
+    }
+    if (stream === process.stdout) stream.write(content);
+    else stream.end(content);
+  }
+  
+  if (stream !== process.stdout) {
+    await new Promise((resolve, reject) => stream.on("finish", resolve).on("error", reject));
+    console.error(`Wrote ${out}`);
+  }
+}
+
+async function moveCommand({ options, positional }) {
+  const item = await findSubmission(positional[0]);
+  const current = await Session.findByPk(item.session_id);
+  ensureDraft(current);
+  
+  if (options.up || options.down) {
+    const moved = await reorderSubmission(current, item, options.up ? "up" : "down");
+    console.log(moved ? `Moved ${item.title} ${options.up ? "up" : "down"}.` : `${item.title} is already at that end of the plan.`);
+    return;
+  }
+  
+  if (!options.session && !options.deity) {
+    throw new UsageError("Say where to move it with --session, --deity, --up or --down.");
+  }
+  const session = options.session ? await findSession(options.session) : current;
+  ensureDraft(session);
+  
+  // The deity must be one of the target session's slots, spelled as the template has it
+  const { deityStatus } = await getSlotBoard(session);
+  const wanted = typeof options.deity === "string" ? options.deity : item.deity;
+  const deity = Object.keys(deityStatus).find(name => name.toLowerCase() === wanted.toLowerCase());
+  if (!deity) throw new CommandError(`${wanted} is not a slot in ${formatSessionLabel(session)}.`);
+  
+  const result = await moveSubmission(item, session, deity);
+  if (result.taken) {
+    throw new CommandError(`The ${deity} slot is already taken by ${result.taken.singer_name} (${result.taken.title}).`);
+  }
+  console.log(`Moved ${item.title} to ${deity} on ${formatSessionLabel(session)}.`);
+}
+
+async function deleteCommand({ positional }) {
+  const item = await findSubmission(positional[0]);
+  ensureDraft(await Session.findByPk(item.session_id));
+  
+  await item.destroy();
+  console.log(`Deleted ${item.title} by ${item.singer_name} (${item.deity}, ${item.session_date}).`);
+}
+
+async function createSessionCommand({ options, positional }) {
+  const [sessionDate] = positional;
+  if (!DATE_PATTERN.test(sessionDate || "")) throw new UsageError("Give the date as YYYY-MM-DD.");
+  
+  const { values, problems } = readSessionFields({
+    start_time: options.time || INITIAL_RECURRENCE.start_time,
+    end_time: options.end,
+    venue: options.venue === undefined ? INITIAL_RECURRENCE.venue : options.venue,
+    type: options.type || "weekly",
+    template_id: options.template
+  });
+  if (problems.length > 0) throw new CommandError(problems.join(" "));
+  
+  const existing = await Session.findOne({ where: { session_date: sessionDate, start_time: values.start_time } });
+  if (existing) throw new CommandError(`Session ${existing.id} is already at that time: ${formatSessionLabel(existing)}.`);
+  
+  const session = await Session.create({ ...values, session_date: sessionDate });
+  console.log(`Created session ${session.id}: ${formatSessionLabel(session)}.`);
+}
+
+async function generateSessionsCommand() {
+  const created = await generateUpcomingSessions();
+  console.log(`Created ${created} session(s) from the recurring rules.`);
+}
+
+async function userAddCommand({ options }) {
+  // Read from standard input rather than the command line, which shells keep in their history
+  const password = options.password ? fs.readFileSync(0, "utf8").split(/\r?\n/)[0] : null;
+  const { user, problems } = await createUser({
+    name: options.name,
+    email: options.email,
+    phone: options.phone,
+    role: options.role,
+    password
+  });
+  if (!user) throw new CommandError(problems.join(" "));
+  
+  console.log(`Created ${user.role} account ${user.id} for ${user.name} (${user.email || user.phone}).`);
+}
+
+async function userListCommand() {
+  const users = await User.findAll({ order: [['name', 'ASC']] });
+  users.forEach(user => {
+    console.log(`${pad(user.id, 5)} ${pad(user.role, 12)} ${pad(user.name, 30)} ${[user.email, user.phone].filter(Boolean).join(", ")}`);
+  });
+  if (users.length === 0) console.log("No accounts.");
+}
+
+// The same pass the server makes every minute, for running from cron when
+// the server is not up
+async function notifyRunCommand() {
+  const { queued, sent, retrying, failed } = await runNotifications();
+  console.log(`Queued ${queued} reminders; sent ${sent}, will retry ${retrying}, gave up on ${failed}.`);
+}
+
+async function migrateCommand({ options }) {
+  const { applied, backup } = await migrateUp({ to: options.to });
+  if (applied.length === 0) {
+    console.log("The database is up to date.");
+    return;
+  }
+  if (backup) console.log(`Backed up the database to ${backup}`);
+  applied.forEach(name => console.log(`Applied ${name}`));
+}
+
+async function migrateStatusCommand() {
+  const { migrations, pending, unknown } = await getMigrationStatus();
+  migrations.forEach(migration => {
+    const state = migration.applied_at ? `applied ${new Date(migration.applied_at).toISOString().slice(0, 16).replace("T", " ")}` : "pending";
+    console.log(`${pad(state, 24)}  ${migration.name}  ${migration.description}`);
+  });
+  unknown.forEach(name => console.log(`${pad("unknown", 24)}  ${name}  (applied by a newer version)`));
+  
+  if (pending.length > 0 || unknown.length > 0) process.exitCode = 1;
+}
+
+async function migrateUndoCommand({ options }) {
+  const { reverted, backup } = await migrateDown({ to: options.to });
+  if (reverted.length === 0) {
+    console.log("Nothing to undo.");
+    return;
+  }
+  if (backup) console.log(`Backed up the database to ${backup}`);
+  reverted.forEach(name => console.log(`Undid ${name}`));
+}
+
+const COMMANDS = {
+  sessions: {
+    usage: "sessions [--all]",
+    description: "List upcoming sessions (or all of them) with their ids",
+    run: sessionsCommand
+  },
+  plan: {
+    usage: "plan <session> [--whatsapp[=<template id>] | --changes]",
+    description: "Print a session's plan with expected times, its WhatsApp text, or the changes since it was last published",
+    run: planCommand
+  },
+  publish: {
+    usage: "publish <session>",
+    description: "Save the plan as its next numbered version, once it has been shared",
+    run: publishCommand
+  },
+  unfilled: {
+    usage: "unfilled <session>",
+    description: "List the mandatory deities nobody has taken yet, one per line",
+    run: unfilledCommand
+  },
+  export: {
+    usage: "export <session> [--format=csv|pdf|ics|html|text] [--out=<file>|-] [--template=<id>]",
+    description: "Write a session's plan to a file, or to standard output with --out=-",
+    run: exportCommand
+  },
+  move: {
+    usage: "move <submission id> [--session=<session>] [--deity=<deity>] | --up | --down",
+    description: "Move a bhajan to another slot or session, or one place up or down the plan",
+    run: moveCommand
+  },
+  delete: {
+    usage: "delete <submission id>",
+    description: "Delete a bhajan from its plan",
+    run: deleteCommand
+  },
+  "create-session": {
+    usage: "create-session <YYYY-MM-DD> [--time=19:00] [--end=20:00] [--venue=...] [--type=weekly|festival|balvikas] [--template=<id>]",
+    description: "Add a one-off session",
+    run: createSessionCommand
+  },
+  "generate-sessions": {
+    usage: "generate-sessions",
+    description: "Schedule sessions from the recurring rules up to the usual horizon",
+    run: generateSessionsCommand
+  },
+  import: {
+    usage: "import <file|-> [--format=whatsapp|csv] [--dry-run]",
+    description: "Import past plans from WhatsApp text or a CSV sheet",
+    run: importCommand
+  },
+  "user:add": {
+    usage: `user:add --name=<name> --email=<email> | --phone=<phone> [--role=${ROLES.join("|")}] [--password]`,
+    description: "Create an account; with --password, its password is read from standard input",
+    run: userAddCommand
+  },
+  "user:list": {
+    usage: "user:list",
+    description: "List accounts with their roles",
+    run: userListCommand
+  },
+  "notify:run": {
+    usage: "notify:run",
+    description: "Queue the reminders that are due and send waiting notifications",
+    run: notifyRunCommand
+  },
+  "db:migrate": {
+    usage: "db:migrate [--to=<migration>]",
+    description: "Apply pending schema migrations, backing up bhajans.db first",
+    run: migrateCommand,
+    schema: true
+  },
+  "db:migrate:status": {
+    usage: "db:migrate:status",
+    description: "List migrations and whether each is applied; exits 1 if any are pending",
+    run: migrateStatusCommand,
+    schema: true
+  },
+  "db:migrate:undo": {
+    usage: "db:migrate:undo [--to=<migration>]",
+    description: "Undo the latest migration, or every one applied after --to",
+    run: migrateUndoCommand,
+    schema: true
+  }
+};
+
+function printUsage() {
+  console.log("Usage: node cli.js <command> [options]\n");
+  console.log("A <session> is an id, a date (the first session that day) or \"next\".\n");
+  Object.values(COMMANDS).forEach(command => {
+    console.log(`  ${command.usage}`);
+    console.log(`      ${command.description}`);
+  });
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+async function main() {
+  const [name, ...rest] = process.argv.slice(2);
+  const command = COMMANDS[name];
+  if (!command) {
+    printUsage();
+    process.exitCode = name && name !== "help" ? 1 : 0;
+    return;
+  }
+  
+  try {
+    // Still run on an older schema, so double-booked slots that block a
+    // migration can be fixed with move and delete
+    if (!command.schema) {
+      const { pending } = await getMigrationStatus();
+      if (pending.length > 0) {
+        console.error(`Warning: pending migrations (${pending.join(", ")}); run \`node cli.js db:migrate\`.`);
+      }
+    }
+    // The audit log puts changes made here down to whoever is logged in to the machine
+    await withAuditActor({ id: null, name: os.userInfo().username }, "cli", () => command.run(parseArgs(rest)));
+  } catch (error) {
+    if (!(error instanceof CommandError)) throw error;
+    console.error(error instanceof UsageError ? `${error.message}\nUsage: node cli.js ${command.usage}` : error.message);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Piping into head and the like closes stdout early; that is not a failure
+process.stdout.on("error", error => {
+  if (error.code === "EPIPE") process.exit(0);
+  throw error;
+});
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,260 @@
+// ============================================================
+// 0001 - Schema as of the first migration
+// Brings any earlier bhajans.db up to date: the original one with only
+// bhajan_submissions, or one that sync() has partly extended. Tables and
+// columns that already exist are left alone. Also seeds the default
+// template, recurrence rule and message templates, and gives every older
+// submission a session.
+// ============================================================
+
+module.exports = {
+  description: "Tables for sessions, templates, catalog, singers, holds and message templates",
+
+  async up(queryInterface, Sequelize) {
+    const { DataTypes } = Sequelize;
+    const id = { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false };
+    const createdAt = { type: DataTypes.DATE, allowNull: true };
+
+    const tables = {
+      bhajan_submissions: {
+        id,
+        session_date: { type: DataTypes.DATEONLY, allowNull: false },
+        singer_name: { type: DataTypes.STRING, allowNull: false },
+        gender: { type: DataTypes.STRING, allowNull: true },
+        partner_name: { type: DataTypes.STRING, allowNull: true },
+        title: { type: DataTypes.STRING, allowNull: false },
+        deity: { type: DataTypes.STRING, allowNull: false },
+        scale: { type: DataTypes.STRING, allowNull: true },
+        speed: { type: DataTypes.STRING, allowNull: false },
+        plan_position: { type: DataTypes.INTEGER, allowNull: true },
+        edit_token: { type: DataTypes.STRING, allowNull: true },
+        bhajan_id: { type: DataTypes.INTEGER, allowNull: true },
+        session_id: { type: DataTypes.INTEGER, allowNull: true },
+        singer_id: { type: DataTypes.INTEGER, allowNull: true },
+        partner_id: { type: DataTypes.INTEGER, allowNull: true },
+        created_at: createdAt
+      },
+      bhajans: {
+        id,
+        title: { type: DataTypes.STRING, allowNull: false },
+        alternate_titles: { type: DataTypes.JSON, allowNull: false, defaultValue: [] },
+        default_deity: { type: DataTypes.STRING, allowNull: true },
+        usual_speed: { type: DataTypes.STRING, allowNull: true },
+        duration_minutes: { type: DataTypes.INTEGER, allowNull: true },
+        created_at: createdAt
+      },
+      singers: {
+        id,
+        name: { type: DataTypes.STRING, allowNull: false },
+        gender: { type: DataTypes.STRING, allowNull: true },
+        phone: { type: DataTypes.STRING, allowNull: true },
+        preferred_scale: { type: DataTypes.STRING, allowNull: true },
+        created_at: createdAt
+      },
+      session_templates: {
+        id,
+        name: { type: DataTypes.STRING, allowNull: false },
+        is_default: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+        ordering_rules: { type: DataTypes.JSON, allowNull: true },
+        created_at: createdAt
+      },
+      template_slots: {
+        id,
+        template_id: { type: DataTypes.INTEGER, allowNull: false },
+        deity: { type: DataTypes.STRING, allowNull: false },
+        mandatory: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+        display_order: { type: DataTypes.INTEGER, allowNull: false },
+        colour: { type: DataTypes.STRING, allowNull: true }
+      },
+      sessions: {
+        id,
+        session_date: { type: DataTypes.DATEONLY, allowNull: false },
+        start_time: { type: DataTypes.STRING, allowNull: false },
+        end_time: { type: DataTypes.STRING, allowNull: true },
+        venue: { type: DataTypes.STRING, allowNull: true },
+        type: { type: DataTypes.STRING, allowNull: false, defaultValue: "weekly" },
+        status: { type: DataTypes.STRING, allowNull: false, defaultValue: "scheduled" },
+        template_id: { type: DataTypes.INTEGER, allowNull: true },
+        recurrence_id: { type: DataTypes.INTEGER, allowNull: true },
+        opens_at: { type: DataTypes.DATE, allowNull: true },
+        cutoff_at: { type: DataTypes.DATE, allowNull: true },
+        plan_status: { type: DataTypes.STRING, allowNull: false, defaultValue: "draft" },
+        finalised_at: { type: DataTypes.DATE, allowNull: true },
+        thought: { type: DataTypes.TEXT, allowNull: true },
+        created_at: createdAt
+      },
+      session_recurrences: {
+        id,
+        weekday: { type: DataTypes.INTEGER, allowNull: false },
+        start_time: { type: DataTypes.STRING, allowNull: false },
+        end_time: { type: DataTypes.STRING, allowNull: true },
+        venue: { type: DataTypes.STRING, allowNull: true },
+        type: { type: DataTypes.STRING, allowNull: false, defaultValue: "weekly" },
+        template_id: { type: DataTypes.INTEGER, allowNull: true },
+        active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+        created_at: createdAt
+      },
+      slot_holds: {
+        id,
+        session_id: { type: DataTypes.INTEGER, allowNull: false },
+        deity: { type: DataTypes.STRING, allowNull: false },
+        token: { type: DataTypes.STRING, allowNull: false },
+        expires_at: { type: DataTypes.DATE, allowNull: false }
+      },
+      message_templates: {
+        id,
+        name: { type: DataTypes.STRING, allowNull: false },
+        header: { type: DataTypes.TEXT, allowNull: true },
+        item_format: { type: DataTypes.TEXT, allowNull: false },
+        footer: { type: DataTypes.TEXT, allowNull: true },
+        is_default: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+        created_at: createdAt
+      }
+    };
+
+    const existingTables = await queryInterface.showAllTables();
+    for (const [table, columns] of Object.entries(tables)) {
+      if (!existingTables.includes(table)) {
+        await queryInterface.createTable(table, columns);
+        continue;
+      }
+
+      // Columns added to a table that already exists cannot be NOT NULL without a default
+      const existingColumns = await queryInterface.describeTable(table);
+      for (const [name, column] of Object.entries(columns)) {
+        if (existingColumns[name]) continue;
+        await queryInterface.addColumn(table, name, {
+          ...column,
+          allowNull: column.allowNull !== false || column.defaultValue === undefined
+        });
+      }
+    }
+
+    const holdIndexes = await queryInterface.showIndex('slot_holds');
+    if (!holdIndexes.some(index => index.unique && index.fields.length === 2)) {
+      await queryInterface.addIndex('slot_holds', ['session_id', 'deity'], { unique: true });
+    }
+
+    await seed(queryInterface);
+    await linkSubmissionsToSessions(queryInterface);
+  },
+
+  // Back to the original single table. Everything else is dropped.
+  async down(queryInterface) {
+    for (const table of [
+      'message_templates', 'slot_holds', 'session_recurrences', 'sessions',
+      'template_slots', 'session_templates', 'singers', 'bhajans'
+    ]) {
+      await queryInterface.dropTable(table);
+    }
+    for (const column of ['plan_position', 'edit_token', 'bhajan_id', 'session_id', 'singer_id', 'partner_id']) {
+      await queryInterface.removeColumn('bhajan_submissions', column);
+    }
+  }
+};
+
+// The weekly slots, Thursday rule and message layouts the scheduler started
+// with. Later changes belong in the admin console, not here.
+const INITIAL_TEMPLATE_SLOTS = [
+  { deity: "Ganesha", mandatory: true },
+  { deity: "Guru", mandatory: true },
+  { deity: "Mata", mandatory: true },
+  { deity: "SarvaDharma", mandatory: true },
+  { deity: "Sai", mandatory: true },
+  { deity: "Shiva", mandatory: true },
+  { deity: "Krishna", mandatory: true },
+  { deity: "Rama", mandatory: true },
+  { deity: "Vitthala", mandatory: true },
+  { deity: "Hanuman", mandatory: false, colour: "#ffec99" }
+];
+const INITIAL_RECURRENCE = { weekday: 4, start_time: "19:00", venue: "Sai Centre", type: "weekly" };
+const INITIAL_MESSAGE_TEMPLATES = [
+  {
+    name: "Standard",
+    header: "Bhajan Plan – {date}",
+    item_format: "{n}) {singers} – [{deity}] {title} – Scale: {scale}, Speed: {speed}",
+    footer: "",
+    is_default: true
+  },
+  {
+    name: "Detailed",
+    header: "🕉️ Sai Ram 🙏\n*{type}* – {long_date}, {time} at {venue}\n💭 {thought}\n",
+    item_format: "{time} {n}) [{deity}] *{title}* – {singers} ({scale}, {speed})",
+    footer: "{closing_time} Closing prayer and Aarti\n\nPlan status: {status}. Jai Sai Ram!",
+    is_default: false
+  }
+];
+
+async function countRows(queryInterface, table) {
+  const [[row]] = await queryInterface.sequelize.query(`SELECT COUNT(*) AS count FROM ${table}`);
+  return row.count;
+}
+
+// Only into empty tables, so databases that already have these keep their own
+async function seed(queryInterface) {
+  const now = new Date();
+
+  if (await countRows(queryInterface, 'session_templates') === 0) {
+    await queryInterface.bulkInsert('session_templates', [{ name: "Weekly Bhajans", is_default: true, created_at: now }]);
+    const [[template]] = await queryInterface.sequelize.query("SELECT id FROM session_templates ORDER BY id LIMIT 1");
+    await queryInterface.bulkInsert('template_slots', INITIAL_TEMPLATE_SLOTS.map((slot, index) => ({
+      template_id: template.id,
+      deity: slot.deity,
+      mandatory: slot.mandatory,
+      display_order: index + 1,
+      colour: slot.colour || null
+    })));
+  }
+
+  if (await countRows(queryInterface, 'session_recurrences') === 0) {
+    await queryInterface.bulkInsert('session_recurrences', [{ ...INITIAL_RECURRENCE, active: true, created_at: now }]);
+  }
+
+  if (await countRows(queryInterface, 'message_templates') === 0) {
+    await queryInterface.bulkInsert('message_templates', INITIAL_MESSAGE_TEMPLATES.map(template => ({ ...template, created_at: now })));
+  }
+}
+
+// Submissions from before sessions existed only have a date. Link each date
+// to its first session, creating one from a matching weekday rule if needed.
+async function linkSubmissionsToSessions(queryInterface) {
+  const { sequelize } = queryInterface;
+  const [dates] = await sequelize.query(
+    "SELECT DISTINCT session_date FROM bhajan_submissions WHERE session_id IS NULL"
+  );
+
+  for (const { session_date } of dates) {
+    const [[existing]] = await sequelize.query(
+      "SELECT id FROM sessions WHERE session_date = ? ORDER BY status = 'cancelled', start_time LIMIT 1",
+      { replacements: [session_date] }
+    );
+    let sessionId = existing ? existing.id : null;
+
+    if (!sessionId) {
+      const weekday = new Date(`${session_date}T00:00:00Z`).getUTCDay();
+      const [[rule]] = await sequelize.query(
+        "SELECT * FROM session_recurrences WHERE weekday = ? ORDER BY id LIMIT 1",
+        { replacements: [weekday] }
+      );
+      await queryInterface.bulkInsert('sessions', [{
+        session_date,
+        start_time: rule ? rule.start_time : INITIAL_RECURRENCE.start_time,
+        end_time: rule ? rule.end_time : null,
+        venue: rule ? rule.venue : INITIAL_RECURRENCE.venue,
+        type: rule ? rule.type : "weekly",
+        status: "scheduled",
+        template_id: rule ? rule.template_id : null,
+        recurrence_id: rule ? rule.id : null,
+        plan_status: "draft",
+        created_at: new Date()
+      }]);
+      const [[created]] = await sequelize.query("SELECT MAX(id) AS id FROM sessions");
+      sessionId = created.id;
+    }
+
+    await sequelize.query(
+      "UPDATE bhajan_submissions SET session_id = ? WHERE session_date = ? AND session_id IS NULL",
+      { replacements: [sessionId, session_date] }
+    );
+  }
+}
@@ -0,0 +1,37 @@
+// ============================================================
+// 0002 - One submission per deity slot per session
+// Enforced by the database so that two singers submitting at the same
+// moment cannot both get the slot. Refuses to run while any slot is
+// double-booked; fix those with /admin or `node cli.js move` first.
+// ============================================================
+
+const SLOT_INDEX_NAME = "bhajan_submissions_session_deity";
+
+module.exports = {
+  description: "Unique index on bhajan_submissions (session_id, deity)",
+
+  async up(queryInterface) {
+    const indexes = await queryInterface.showIndex('bhajan_submissions');
+    if (indexes.some(index => index.name === SLOT_INDEX_NAME)) return;
+
+    const [duplicates] = await queryInterface.sequelize.query(
+      `SELECT session_id, MIN(session_date) AS session_date, deity, COUNT(id) AS count
+       FROM bhajan_submissions
+       GROUP BY session_id, deity
+       HAVING COUNT(id) > 1`
+    );
+    if (duplicates.length > 0) {
+      const slots = duplicates.map(slot => `  ${slot.session_date} (session ${slot.session_id}): ${slot.deity} × ${slot.count}`);
+      throw new Error(`Deity slots are double-booked; move or delete the extra submissions first:\n${slots.join("\n")}`);
+    }
+
+    await queryInterface.addIndex('bhajan_submissions', ['session_id', 'deity'], {
+      unique: true,
+      name: SLOT_INDEX_NAME
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('bhajan_submissions', SLOT_INDEX_NAME);
+  }
+};
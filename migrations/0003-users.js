@@ -0,0 +1,50 @@
+// ============================================================
+// 0003 - User accounts
+// Singers, convenors and centre coordinators who sign in, the one-time
+// codes sent to them, and their signed-in browser sessions. Named
+// login_sessions because sessions already holds the bhajan sessions.
+// ============================================================
+
+module.exports = {
+  description: "Tables for users, login codes and login sessions",
+
+  async up(queryInterface, Sequelize) {
+    const { DataTypes } = Sequelize;
+    const id = { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false };
+    const createdAt = { type: DataTypes.DATE, allowNull: true };
+
+    await queryInterface.createTable('users', {
+      id,
+      name: { type: DataTypes.STRING, allowNull: false },
+      email: { type: DataTypes.STRING, allowNull: true, unique: true },
+      phone: { type: DataTypes.STRING, allowNull: true, unique: true },
+      role: { type: DataTypes.STRING, allowNull: false, defaultValue: "singer" },
+      password_hash: { type: DataTypes.STRING, allowNull: true },
+      singer_id: { type: DataTypes.INTEGER, allowNull: true },
+      created_at: createdAt
+    });
+
+    await queryInterface.createTable('login_codes', {
+      id,
+      user_id: { type: DataTypes.INTEGER, allowNull: false },
+      code_hash: { type: DataTypes.STRING, allowNull: false },
+      expires_at: { type: DataTypes.DATE, allowNull: false },
+      attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      created_at: createdAt
+    });
+
+    await queryInterface.createTable('login_sessions', {
+      id,
+      user_id: { type: DataTypes.INTEGER, allowNull: false },
+      token_hash: { type: DataTypes.STRING, allowNull: false, unique: true },
+      expires_at: { type: DataTypes.DATE, allowNull: false },
+      created_at: createdAt
+    });
+  },
+
+  async down(queryInterface) {
+    for (const table of ['login_sessions', 'login_codes', 'users']) {
+      await queryInterface.dropTable(table);
+    }
+  }
+};
@@ -0,0 +1,40 @@
+// ============================================================
+// 0004 - Audit log of submission and session changes
+// Append-only: triggers refuse any UPDATE or DELETE on audit_log, so
+// entries can only be added, whatever the code does.
+// ============================================================
+
+module.exports = {
+  description: "Append-only audit_log table",
+
+  async up(queryInterface, Sequelize) {
+    const { DataTypes } = Sequelize;
+
+    await queryInterface.createTable('audit_log', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      entity: { type: DataTypes.STRING, allowNull: false },
+      entity_id: { type: DataTypes.INTEGER, allowNull: false },
+      session_id: { type: DataTypes.INTEGER, allowNull: true },
+      action: { type: DataTypes.STRING, allowNull: false },
+      actor_user_id: { type: DataTypes.INTEGER, allowNull: true },
+      actor_name: { type: DataTypes.STRING, allowNull: true },
+      source: { type: DataTypes.STRING, allowNull: false },
+      before: { type: DataTypes.JSON, allowNull: true },
+      after: { type: DataTypes.JSON, allowNull: true },
+      created_at: { type: DataTypes.DATE, allowNull: true }
+    });
+    await queryInterface.addIndex('audit_log', ['session_id']);
+
+    for (const operation of ['UPDATE', 'DELETE']) {
+      await queryInterface.sequelize.query(
+        `CREATE TRIGGER audit_log_no_${operation.toLowerCase()} BEFORE ${operation} ON audit_log
+         BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`
+      );
+    }
+  },
+
+  // Dropping the table drops its triggers too
+  async down(queryInterface) {
+    await queryInterface.dropTable('audit_log');
+  }
+};
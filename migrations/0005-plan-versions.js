@@ -0,0 +1,34 @@
+// ============================================================
+// 0005 - Published plan versions
+// A numbered copy of a session's plan each time it is shared, so later
+// changes can be shown against what people last saw.
+// ============================================================
+
+const VERSION_INDEX_NAME = "plan_versions_session_version";
+
+module.exports = {
+  description: "Table for numbered published plan versions",
+
+  async up(queryInterface, Sequelize) {
+    const { DataTypes } = Sequelize;
+
+    await queryInterface.createTable('plan_versions', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      session_id: { type: DataTypes.INTEGER, allowNull: false },
+      version: { type: DataTypes.INTEGER, allowNull: false },
+      items: { type: DataTypes.JSON, allowNull: false },
+      message: { type: DataTypes.TEXT, allowNull: true },
+      published_by_user_id: { type: DataTypes.INTEGER, allowNull: true },
+      published_by: { type: DataTypes.STRING, allowNull: true },
+      created_at: { type: DataTypes.DATE, allowNull: true }
+    });
+    await queryInterface.addIndex('plan_versions', ['session_id', 'version'], {
+      unique: true,
+      name: VERSION_INDEX_NAME
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('plan_versions');
+  }
+};
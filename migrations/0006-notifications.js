@@ -0,0 +1,37 @@
+// ============================================================
+// 0006 - Notification outbox
+// Every reminder, confirmation and final plan is written here first and
+// sent from here, so a message survives a restart and a failed send is
+// tried again later.
+// ============================================================
+
+module.exports = {
+  description: "Outbox table for notifications",
+
+  async up(queryInterface, Sequelize) {
+    const { DataTypes } = Sequelize;
+
+    await queryInterface.createTable('notifications', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      kind: { type: DataTypes.STRING, allowNull: false },
+      channel: { type: DataTypes.STRING, allowNull: false },
+      recipient: { type: DataTypes.STRING, allowNull: false },
+      recipient_name: { type: DataTypes.STRING, allowNull: true },
+      subject: { type: DataTypes.STRING, allowNull: true },
+      body: { type: DataTypes.TEXT, allowNull: false },
+      session_id: { type: DataTypes.INTEGER, allowNull: true },
+      dedupe_key: { type: DataTypes.STRING, allowNull: true, unique: true },
+      status: { type: DataTypes.STRING, allowNull: false, defaultValue: "pending" },
+      attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      next_attempt_at: { type: DataTypes.DATE, allowNull: true },
+      last_error: { type: DataTypes.TEXT, allowNull: true },
+      sent_at: { type: DataTypes.DATE, allowNull: true },
+      created_at: { type: DataTypes.DATE, allowNull: true }
+    });
+    await queryInterface.addIndex('notifications', ['status', 'next_attempt_at']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('notifications');
+  }
+};
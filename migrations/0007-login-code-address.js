@@ -0,0 +1,19 @@
+// ============================================================
+// 0007 - Where each sign-in code was sent
+// Signing in with a code proves the email or phone it went to, so the
+// code remembers which one that was.
+// ============================================================
+
+module.exports = {
+  description: "Record whether a login code went to the email or the phone",
+
+  async up(queryInterface, Sequelize) {
+    const { DataTypes } = Sequelize;
+
+    await queryInterface.addColumn('login_codes', 'sent_to', { type: DataTypes.STRING, allowNull: true });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('login_codes', 'sent_to');
+  }
+};
@@ -0,0 +1,21 @@
+// ============================================================
+// 0008 - Who holds each slot
+// Holds belong to the signed-in user, so one person can only hold one
+// slot at a time however many forms they open.
+// ============================================================
+
+module.exports = {
+  description: "Record the user holding each slot",
+
+  async up(queryInterface, Sequelize) {
+    const { DataTypes } = Sequelize;
+
+    await queryInterface.addColumn('slot_holds', 'user_id', { type: DataTypes.INTEGER, allowNull: true });
+    await queryInterface.addIndex('slot_holds', ['user_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('slot_holds', ['user_id']);
+    await queryInterface.removeColumn('slot_holds', 'user_id');
+  }
+};
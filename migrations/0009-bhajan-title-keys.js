@@ -0,0 +1,27 @@
+// ============================================================
+// 0009 - Catalog title keys
+// One row per spelling of each catalog entry (its title and alternate
+// titles), holding the normalised matching key, so a title is looked up by
+// index instead of by reading the whole catalog. Entries already in the
+// catalog are keyed when the server next starts.
+// ============================================================
+
+module.exports = {
+  description: "Indexed title keys for the bhajan catalog",
+
+  async up(queryInterface, Sequelize) {
+    const { DataTypes } = Sequelize;
+
+    await queryInterface.createTable('bhajan_title_keys', {
+      id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false },
+      bhajan_id: { type: DataTypes.INTEGER, allowNull: false },
+      title_key: { type: DataTypes.STRING, allowNull: false }
+    });
+    await queryInterface.addIndex('bhajan_title_keys', ['title_key']);
+    await queryInterface.addIndex('bhajan_title_keys', ['bhajan_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('bhajan_title_keys');
+  }
+};
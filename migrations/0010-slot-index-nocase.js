@@ -0,0 +1,39 @@
+// ============================================================
+// 0010 - Deity slots ignore case
+// Rebuilds the one-submission-per-slot index with NOCASE, so "ganesha" and
+// "Ganesha" are the same slot to the database as well as to the forms.
+// Refuses to run while two submissions share a slot spelt differently;
+// fix those with /admin or `node cli.js move` first.
+// ============================================================
+
+const SLOT_INDEX_NAME = "bhajan_submissions_session_deity";
+
+module.exports = {
+  description: "Make the unique (session_id, deity) index case-insensitive",
+
+  async up(queryInterface) {
+    const [duplicates] = await queryInterface.sequelize.query(
+      `SELECT session_id, MIN(session_date) AS session_date, GROUP_CONCAT(deity, ', ') AS spellings
+       FROM bhajan_submissions
+       GROUP BY session_id, deity COLLATE NOCASE
+       HAVING COUNT(id) > 1`
+    );
+    if (duplicates.length > 0) {
+      const slots = duplicates.map(slot => `  ${slot.session_date} (session ${slot.session_id}): ${slot.spellings}`);
+      throw new Error(`Deity slots are double-booked under different spellings; move or delete the extra submissions first:\n${slots.join("\n")}`);
+    }
+
+    await queryInterface.removeIndex('bhajan_submissions', SLOT_INDEX_NAME);
+    await queryInterface.sequelize.query(
+      `CREATE UNIQUE INDEX ${SLOT_INDEX_NAME} ON bhajan_submissions (session_id, deity COLLATE NOCASE)`
+    );
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('bhajan_submissions', SLOT_INDEX_NAME);
+    await queryInterface.addIndex('bhajan_submissions', ['session_id', 'deity'], {
+      unique: true,
+      name: SLOT_INDEX_NAME
+    });
+  }
+};
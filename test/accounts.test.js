@@ -0,0 +1,58 @@
+// ============================================================
+// ACCOUNTS - roles and sign-in throttling
+// Runs against a fresh database in a temporary directory.
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bhajan-accounts-')));
+const { sequelize, migrateUp, createUser, hasRole, userFromBasicAuth } = require('../main');
+
+test.before(async () => {
+  await migrateUp();
+});
+
+test.after(async () => {
+  await sequelize.close();
+});
+
+// A request signing in with Basic auth from the given address
+function basicAuth(login, password, ip) {
+  return { ip, headers: { authorization: `Basic ${Buffer.from(`${login}:${password}`).toString("base64")}` } };
+}
+
+test("each role includes the ones below it", () => {
+  const singer = { role: "singer" };
+  const convenor = { role: "convenor" };
+  const coordinator = { role: "coordinator" };
+  
+  assert.deepStrictEqual(["singer", "convenor", "coordinator"].map(role => hasRole(singer, role)), [true, false, false]);
+  assert.deepStrictEqual(["singer", "convenor", "coordinator"].map(role => hasRole(convenor, role)), [true, true, false]);
+  assert.deepStrictEqual(["singer", "convenor", "coordinator"].map(role => hasRole(coordinator, role)), [true, true, true]);
+  assert.strictEqual(hasRole(null, "singer"), false);
+  assert.strictEqual(hasRole({ role: "guest" }, "singer"), false);
+});
+
+test("an account is locked after too many wrong passwords, from any address", async () => {
+  const { user } = await createUser({ name: "Ravi", email: "ravi@example.org", password: "correct horse" });
+  assert.strictEqual((await userFromBasicAuth(basicAuth("ravi@example.org", "correct horse", "10.0.1.1"))).id, user.id);
+  
+  for (let attempt = 0; attempt < 10; attempt++) {
+    assert.strictEqual(await userFromBasicAuth(basicAuth("Ravi@Example.org", "wrong", `10.0.1.${attempt + 2}`)), null);
+  }
+  assert.strictEqual(await userFromBasicAuth(basicAuth("ravi@example.org", "correct horse", "10.0.1.99")), null);
+});
+
+test("an address is stopped after too many failed sign-ins, for every account", async () => {
+  const { user } = await createUser({ name: "Meera", email: "meera@example.org", password: "correct horse" });
+  
+  for (let attempt = 0; attempt < 30; attempt++) {
+    assert.strictEqual(await userFromBasicAuth(basicAuth(`nobody${attempt}@example.org`, "wrong", "10.0.2.1")), null);
+  }
+  assert.strictEqual(await userFromBasicAuth(basicAuth("meera@example.org", "correct horse", "10.0.2.1")), null);
+  assert.strictEqual((await userFromBasicAuth(basicAuth("meera@example.org", "correct horse", "10.0.2.2"))).id, user.id);
+});
@@ -0,0 +1,93 @@
+// ============================================================
+// API SCHEMAS - what validateSchema accepts and how it reports problems
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bhajan-schemas-')));
+const { sequelize, API_SCHEMAS, validateSchema } = require('../main');
+
+test.after(async () => {
+  await sequelize.close();
+});
+
+const submission = {
+  session_id: 4,
+  singer_name: "Soham",
+  partner_name: null,
+  title: "Hari Shri Ganapati Om",
+  deity: "Ganesha",
+  scale: "D",
+  speed: "medium"
+};
+
+test("a valid body has no problems", () => {
+  assert.deepStrictEqual(validateSchema(API_SCHEMAS.SubmissionInput, submission), []);
+  assert.deepStrictEqual(validateSchema(API_SCHEMAS.SubmissionUpdate, { scale: null }), []);
+});
+
+test("missing, blank, mistyped and unknown fields are each reported by name", () => {
+  const { title, ...withoutTitle } = submission;
+  const problems = validateSchema(API_SCHEMAS.SubmissionInput, {
+    ...withoutTitle,
+    session_id: "4",
+    singer_name: "  ",
+    speed: "quick",
+    colour: "blue"
+  });
+  assert.deepStrictEqual(problems, [
+    { field: "title", message: "is required" },
+    { field: "session_id", message: "must be an integer, not a string" },
+    { field: "singer_name", message: "must not be blank" },
+    { field: "speed", message: "must be one of slow, medium, fast" },
+    { field: "colour", message: "is not a known field" }
+  ]);
+});
+
+test("null is only allowed where the schema says so", () => {
+  assert.deepStrictEqual(validateSchema(API_SCHEMAS.SubmissionUpdate, { deity: null }), [
+    { field: "deity", message: "must not be null" }
+  ]);
+  assert.deepStrictEqual(validateSchema(API_SCHEMAS.SubmissionInput, null), [
+    { field: "(body)", message: "must not be null" }
+  ]);
+});
+
+test("problems inside arrays are named by their index", () => {
+  const problems = validateSchema(API_SCHEMAS.SubmitRequest, {
+    session_id: "12",
+    singer_name: "Soham",
+    bhajans: [
+      { title: "Guru Vandana", deity: "Guru", speed: "slow" },
+      { title: "Om Namah Shivaya", deity: "Shiva", speed: "Fast", scale: "x".repeat(31) }
+    ]
+  });
+  assert.deepStrictEqual(problems, [
+    { field: "bhajans[1].speed", message: "must be one of slow, medium, fast" },
+    { field: "bhajans[1].scale", message: "must be at most 30 characters" }
+  ]);
+  
+  assert.deepStrictEqual(validateSchema(API_SCHEMAS.SubmitRequest, { singer_name: "Soham", bhajans: [] }), [
+    { field: "bhajans", message: "must have at least 1 item(s)" }
+  ]);
+});
+
+test("a value may match any one of several types", () => {
+  const sessionId = API_SCHEMAS.SubmitRequest.properties.session_id;
+  assert.deepStrictEqual(validateSchema(sessionId, 12, "session_id"), []);
+  assert.deepStrictEqual(validateSchema(sessionId, "12", "session_id"), []);
+  assert.deepStrictEqual(validateSchema(sessionId, "twelve", "session_id"), [
+    { field: "session_id", message: "must be an integer or a string" }
+  ]);
+});
+
+test("dates and times get messages with an example", () => {
+  assert.deepStrictEqual(validateSchema(API_SCHEMAS.SessionInput, { session_date: "11/12/2025", start_time: "7pm" }), [
+    { field: "session_date", message: "must be a date such as 2026-11-05" },
+    { field: "start_time", message: "must be a time such as 19:00" }
+  ]);
+});
@@ -0,0 +1,48 @@
+// ============================================================
+// AUDIT LOG - filtering a session's history
+// Runs against a fresh database in a temporary directory.
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bhajan-audit-')));
+const { sequelize, migrateUp, Session, BhajanSubmission, moveSubmission, getAuditLog } = require('../main');
+
+test.before(async () => {
+  await migrateUp();
+});
+
+test.after(async () => {
+  await sequelize.close();
+});
+
+test("a session's history still lists a bhajan moved out of it", async () => {
+  const from = await Session.create({ session_date: "2030-01-03", start_time: "19:00", venue: "Sai Centre" });
+  const to = await Session.create({ session_date: "2030-01-10", start_time: "19:00", venue: "Sai Centre" });
+  const item = await BhajanSubmission.create({
+    session_id: from.id,
+    session_date: from.session_date,
+    singer_name: "Soham",
+    title: "Hari Shri Ganapati Om",
+    deity: "Ganesha",
+    speed: "medium"
+  });
+  
+  const { submission } = await moveSubmission(item, to, "Ganesha");
+  assert.ok(submission);
+  
+  const submissionEntries = async sessionId => (await getAuditLog({ sessionId, page: 1 })).entries
+    .filter(entry => entry.entity === "submission");
+  
+  const history = await submissionEntries(from.id);
+  assert.deepStrictEqual(history.map(entry => entry.action), ["move", "create"]);
+  assert.strictEqual(history[0].before.session_id, from.id);
+  assert.strictEqual(history[0].session_id, to.id);
+  
+  const arrived = await submissionEntries(to.id);
+  assert.deepStrictEqual(arrived.map(entry => entry.action), ["move"]);
+});
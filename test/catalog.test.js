@@ -0,0 +1,38 @@
+// ============================================================
+// BHAJAN CATALOG - matching titles however they are spelt
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bhajan-catalog-')));
+const { sequelize, titleKey } = require('../main');
+
+test.after(async () => {
+  await sequelize.close();
+});
+
+test("case, spacing and punctuation do not change a title's key", () => {
+  assert.strictEqual(titleKey("Hari Shri Ganapati Om!"), titleKey("hari-shri ganapati  om"));
+  assert.strictEqual(titleKey("Sai Ram"), titleKey("Sairam"));
+});
+
+test("common transliteration differences do not change a title's key", () => {
+  [
+    ["Shri Ganapathi", "Sri Ganapati"],
+    ["Shiva Shiva Shankara", "Siva Siva Sankara"],
+    ["Govinda Gopala", "Govinda Gopaala"],
+    ["Poorna Avatara", "Purna Avatara"],
+    ["Deena Bandhu", "Dina Bandhu"],
+    ["Vishwa Vandana", "Vishva Vandana"]
+  ].forEach(([one, other]) => assert.strictEqual(titleKey(one), titleKey(other), `${one} / ${other}`));
+});
+
+test("different titles keep different keys", () => {
+  assert.notStrictEqual(titleKey("Hari Om"), titleKey("Hare Om"));
+  assert.notStrictEqual(titleKey("Sai Ram"), titleKey("Sita Ram"));
+  assert.strictEqual(titleKey(null), "");
+});
@@ -0,0 +1,70 @@
+// ============================================================
+// MIGRATIONS - applying and undoing schema changes in order
+// Runs against a fresh database in a temporary directory.
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bhajan-migrations-')));
+const { sequelize, getMigrationStatus, migrateUp, migrateDown, Session, BhajanSubmission } = require('../main');
+
+const ALL_MIGRATIONS = fs.readdirSync(path.join(__dirname, '..', 'migrations'))
+  .filter(file => file.endsWith(".js"))
+  .map(file => file.replace(/\.js$/, ""))
+  .sort();
+
+test.after(async () => {
+  await sequelize.close();
+});
+
+test("a new database has every migration pending", async () => {
+  const status = await getMigrationStatus();
+  assert.deepStrictEqual(status.pending, ALL_MIGRATIONS);
+  assert.deepStrictEqual(status.unknown, []);
+  assert.ok(status.migrations.every(migration => migration.description && migration.applied_at === null));
+});
+
+test("migrations are applied in order, up to a given one", async () => {
+  await assert.rejects(migrateUp({ to: "9999-nothing" }), /Unknown migration: 9999-nothing/);
+  
+  const first = await migrateUp({ to: ALL_MIGRATIONS[2] });
+  assert.deepStrictEqual(first.applied, ALL_MIGRATIONS.slice(0, 3));
+  assert.deepStrictEqual((await getMigrationStatus()).pending, ALL_MIGRATIONS.slice(3));
+  
+  const rest = await migrateUp();
+  assert.deepStrictEqual(rest.applied, ALL_MIGRATIONS.slice(3));
+  assert.ok(fs.existsSync(rest.backup), "the database is copied aside first");
+  assert.deepStrictEqual(await migrateUp(), { applied: [], backup: null });
+});
+
+test("migrations are undone newest first, back to a given one", async () => {
+  await assert.rejects(migrateDown({ to: "9999-nothing" }), /9999-nothing is not an applied migration/);
+  
+  const latest = await migrateDown();
+  assert.deepStrictEqual(latest.reverted, ALL_MIGRATIONS.slice(-1));
+  
+  const back = await migrateDown({ to: ALL_MIGRATIONS[5] });
+  assert.deepStrictEqual(back.reverted, ALL_MIGRATIONS.slice(6, -1).reverse());
+  assert.deepStrictEqual((await getMigrationStatus()).pending, ALL_MIGRATIONS.slice(6));
+  
+  await migrateUp();
+  assert.deepStrictEqual((await getMigrationStatus()).pending, []);
+});
+
+test("deity slots spelt in different cases stop the case-insensitive slot index from being added", async () => {
+  await migrateDown({ to: "0009-bhajan-title-keys" });
+  const session = await Session.create({ session_date: "2030-03-07", start_time: "19:00", venue: "Sai Centre" });
+  const fields = { session_id: session.id, session_date: session.session_date, title: "Hari Shri Ganapati Om", speed: "medium" };
+  await BhajanSubmission.create({ ...fields, singer_name: "Soham", deity: "Ganesha", edit_token: "token-soham" });
+  await BhajanSubmission.create({ ...fields, singer_name: "Trupti", deity: "ganesha", edit_token: "token-trupti" });
+  
+  await assert.rejects(migrateUp(), /0010-slot-index-nocase failed: Deity slots are double-booked[^]*2030-03-07 .*Ganesha, ganesha/);
+  assert.deepStrictEqual((await getMigrationStatus()).pending, ["0010-slot-index-nocase"]);
+  
+  await BhajanSubmission.destroy({ where: { deity: "ganesha" } });
+  assert.deepStrictEqual((await migrateUp()).applied, ["0010-slot-index-nocase"]);
+});
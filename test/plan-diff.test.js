@@ -0,0 +1,85 @@
+// ============================================================
+// PLAN VERSIONS - what counts as added, removed, moved or changed
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bhajan-diff-')));
+const { sequelize, unmovedIds, diffPlans } = require('../main');
+
+test.after(async () => {
+  await sequelize.close();
+});
+
+// Snapshot items in the order given, numbered from 1
+function snapshot(ids, fields = {}) {
+  return ids.map((id, index) => ({
+    submission_id: id,
+    order: index + 1,
+    singer: `Singer ${id}`,
+    partner: null,
+    title: `Bhajan ${id}`,
+    deity: `Deity ${id}`,
+    scale: null,
+    speed: "medium",
+    ...fields[id]
+  }));
+}
+
+const movedIds = diff => diff.moved.map(({ item }) => item.submission_id).sort();
+
+test("the same plan has no changes", () => {
+  const diff = diffPlans(snapshot([1, 2, 3]), snapshot([1, 2, 3]));
+  assert.deepStrictEqual(diff, { added: [], removed: [], moved: [], changed: [] });
+});
+
+test("swapping two bhajans moves only those two", () => {
+  const diff = diffPlans(snapshot([1, 2, 3, 4, 5, 6]), snapshot([1, 5, 3, 4, 2, 6]));
+  assert.deepStrictEqual(movedIds(diff), [2, 5]);
+  assert.deepStrictEqual(diff.moved.map(({ from, to }) => [from, to]), [[5, 2], [2, 5]]);
+});
+
+test("swapping neighbours moves one of them", () => {
+  const diff = diffPlans(snapshot([1, 2, 3, 4]), snapshot([1, 3, 2, 4]));
+  assert.strictEqual(diff.moved.length, 1);
+});
+
+test("between runs as long, the one keeping its number stays put", () => {
+  assert.deepStrictEqual([...unmovedIds([1, 2, 3], [3, 2, 1], new Set([2]))], [2]);
+  
+  const diff = diffPlans(snapshot([1, 2, 3]), snapshot([3, 2, 1]));
+  assert.deepStrictEqual(movedIds(diff), [1, 3]);
+});
+
+test("a bhajan added at the top moves nothing else", () => {
+  const diff = diffPlans(snapshot([1, 2, 3]), snapshot([4, 1, 2, 3]));
+  assert.deepStrictEqual(diff.added.map(item => item.submission_id), [4]);
+  assert.deepStrictEqual(diff.moved, []);
+});
+
+test("a removed bhajan is reported and the ones after it are not moved", () => {
+  const diff = diffPlans(snapshot([1, 2, 3, 4]), snapshot([1, 3, 4]));
+  assert.deepStrictEqual(diff.removed.map(item => item.submission_id), [2]);
+  assert.deepStrictEqual(diff.moved, []);
+});
+
+test("one bhajan taken from the end to the top is the only one moved", () => {
+  const diff = diffPlans(snapshot([1, 2, 3, 4, 5]), snapshot([5, 1, 2, 3, 4]));
+  assert.deepStrictEqual(movedIds(diff), [5]);
+});
+
+test("changed fields are listed, treating empty and missing as the same", () => {
+  const before = snapshot([1, 2], { 2: { scale: "" } });
+  const after = snapshot([1, 2], { 1: { scale: "C#", speed: "fast" }, 2: { scale: null } });
+  const diff = diffPlans(before, after);
+  assert.strictEqual(diff.changed.length, 1);
+  assert.strictEqual(diff.changed[0].item.submission_id, 1);
+  assert.deepStrictEqual(diff.changed[0].fields, [
+    { field: "scale", before: null, after: "C#" },
+    { field: "speed", before: "medium", after: "fast" }
+  ]);
+});
@@ -0,0 +1,63 @@
+// ============================================================
+// PLAN EXPORT - CSV cells, calendar lines and message templates
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bhajan-export-')));
+const { sequelize, csvCell, foldIcsLine, fillPlaceholders, findUnknownPlaceholders } = require('../main');
+
+test.after(async () => {
+  await sequelize.close();
+});
+
+test("CSV cells are quoted only when they need it", () => {
+  assert.strictEqual(csvCell(null), "");
+  assert.strictEqual(csvCell(undefined), "");
+  assert.strictEqual(csvCell(3), "3");
+  assert.strictEqual(csvCell("Guru Vandana"), "Guru Vandana");
+  assert.strictEqual(csvCell("Say \"Hari\", then Om"), "\"Say \"\"Hari\"\", then Om\"");
+  assert.strictEqual(csvCell("two\nlines"), "\"two\nlines\"");
+});
+
+test("CSV cells that a spreadsheet would run as a formula are quoted", () => {
+  ["=1+1", "+91 98450", "-5", "@SUM(A1)"].forEach(text => assert.strictEqual(csvCell(text), `'${text}`));
+  assert.strictEqual(csvCell("=A1,B1"), "\"'=A1,B1\"");
+});
+
+test("calendar lines are folded at 75 octets without splitting a character", () => {
+  assert.strictEqual(foldIcsLine("SUMMARY:Bhajan"), "SUMMARY:Bhajan");
+  
+  const ascii = foldIcsLine("a".repeat(100));
+  assert.deepStrictEqual(ascii.split("\r\n"), ["a".repeat(75), ` ${"a".repeat(25)}`]);
+  
+  const text = "DESCRIPTION:" + "ॐ नमः शिवाय – ".repeat(10);
+  const lines = foldIcsLine(text).split("\r\n");
+  lines.forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+  assert.strictEqual(lines.map((line, index) => index === 0 ? line : line.slice(1)).join(""), text);
+});
+
+test("placeholders are filled and lines whose placeholders are all empty are left out", () => {
+  const values = { date: "2025-12-11", thought: "", venue: "Sai Centre", count: 0 };
+  const text = fillPlaceholders("Bhajan Plan – {date}\n💭 {thought}\n{thought} at {venue}\nBhajans: {count}\nOm Sai Ram", values);
+  assert.strictEqual(text, "Bhajan Plan – 2025-12-11\n at Sai Centre\nBhajans: 0\nOm Sai Ram");
+});
+
+test("placeholders without a value are left as written", () => {
+  assert.strictEqual(fillPlaceholders("{date} {colour}", { date: "2025-12-11" }), "2025-12-11 {colour}");
+  assert.strictEqual(fillPlaceholders("{colour}", {}), "{colour}");
+  assert.strictEqual(fillPlaceholders(null, {}), "");
+});
+
+test("unknown placeholders, and bhajan ones outside the bhajan line, are reported", () => {
+  assert.deepStrictEqual(findUnknownPlaceholders({
+    header: "Bhajan Plan – {date} {colour}",
+    item_format: "{n}) {singers} – {title} at {time} on {date}",
+    footer: "Thanks {singer}, see you at {time}"
+  }), ["colour", "singer"]);
+  assert.deepStrictEqual(findUnknownPlaceholders({ header: "", item_format: "{n}) {title}" }), []);
+});
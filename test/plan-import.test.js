@@ -0,0 +1,96 @@
+// ============================================================
+// PLAN IMPORT - reading WhatsApp plans and CSV files
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bhajan-import-')));
+const { sequelize, parseWhatsAppPlan, parsePlanCsv, planToCsv } = require('../main');
+
+test.after(async () => {
+  await sequelize.close();
+});
+
+test("a plan pasted from an exported chat is read line by line", () => {
+  const { rows, errors } = parseWhatsAppPlan([
+    "[11/12/25, 8:05 PM] Prashant: Bhajan Plan – 11/12/2025",
+    "See you all on Thursday",
+    "1) Soham (Prashant) – [Ganesha] Hari Shri Ganapati Om – Scale: D, Speed: Medium",
+    "2) Trupti - [Guru] Guru Vandana - Scale: , Speed: slow"
+  ].join("\n"));
+  
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(rows, [
+    { line: 3, order: 1, session_date: "2025-12-11", singer_name: "Soham", partner_name: "Prashant", title: "Hari Shri Ganapati Om", deity: "Ganesha", scale: "D", speed: "medium" },
+    { line: 4, order: 2, session_date: "2025-12-11", singer_name: "Trupti", partner_name: null, title: "Guru Vandana", deity: "Guru", scale: "", speed: "slow" }
+  ]);
+});
+
+test("bad lines in a WhatsApp plan are reported with their line numbers and the rest kept", () => {
+  const { rows, errors } = parseWhatsAppPlan([
+    "1) Ravi – [Shiva] Om Namah Shivaya – Scale: C, Speed: Fast",
+    "Bhajan Plan – 2025-12-11",
+    "2) Ravi – Shiva bhajan",
+    "3) Meera – [Devi] Amba Bhavani – Scale: C, Speed: quick",
+    "4) Anne – [Sai] Sai Ram – Scale: E, Speed: Fast",
+    "Bhajan Plan – 31/02/2026"
+  ].join("\n"));
+  
+  assert.deepStrictEqual(rows.map(row => row.line), [5]);
+  assert.deepStrictEqual(errors.map(error => error.line), [1, 3, 4, 6]);
+  assert.match(errors[0].message, /no readable "Bhajan Plan – date" line/);
+  assert.match(errors[2].message, /Speed must be slow, medium or fast, not "quick"/);
+  assert.match(errors[3].message, /Cannot read the date "31\/02\/2026"/);
+});
+
+test("CSV columns are found by any accepted heading, in any order", () => {
+  const { rows, errors } = parsePlanCsv([
+    "\uFEFFDate,Bhajan,Singer_Name,Deity,Speed,#",
+    "11.12.25,\"Om, Shri Ganesha\",Soham,Ganesha,Medium,3"
+  ].join("\r\n"));
+  
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(rows, [
+    { line: 2, order: 3, session_date: "2025-12-11", singer_name: "Soham", partner_name: null, title: "Om, Shri Ganesha", deity: "Ganesha", scale: "", speed: "medium" }
+  ]);
+});
+
+test("a CSV file without the required columns is refused as a whole", () => {
+  const { rows, errors } = parsePlanCsv("date,singer,title\n2025-12-11,Soham,Guru Vandana\n");
+  assert.deepStrictEqual(rows, []);
+  assert.deepStrictEqual(errors, [{ line: 1, text: "date,singer,title", message: "Missing columns: deity, speed." }]);
+});
+
+test("CSV errors give the line each record starts on, past quoted line breaks", () => {
+  const { rows, errors } = parsePlanCsv([
+    "session_date,singer,title,deity,speed",
+    "2025-12-11,Soham,\"Hari Shri\nGanapati Om\",Ganesha,medium",
+    "",
+    "2025-12-11,,Guru Vandana,Guru,slow",
+    "2025-13-01,Ravi,Om Namah Shivaya,Shiva,fast"
+  ].join("\n"));
+  
+  assert.deepStrictEqual(rows.map(row => [row.line, row.title]), [[2, "Hari Shri\nGanapati Om"]]);
+  assert.deepStrictEqual(errors.map(error => [error.line, error.message]), [
+    [5, "The singer is missing."],
+    [6, "Cannot read the date \"2025-13-01\"."]
+  ]);
+});
+
+test("a plan exported as CSV imports back unchanged, formula-like names included", () => {
+  const plan = [
+    { order: 1, session_id: 4, session_date: "2025-12-11", singer: "=Soham", partner: "+Prashant", title: "Say \"Hari\", then Om", deity: "Ganesha", scale: "D", speed: "medium" },
+    { order: 2, session_id: 4, session_date: "2025-12-11", singer: "Trupti", partner: null, title: "Guru Vandana", deity: "Guru", scale: null, speed: "slow" }
+  ];
+  const { rows, errors } = parsePlanCsv(planToCsv(plan));
+  
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(rows.map(row => [row.order, row.singer_name, row.partner_name, row.title, row.scale]), [
+    [1, "=Soham", "+Prashant", "Say \"Hari\", then Om", "D"],
+    [2, "Trupti", null, "Guru Vandana", ""]
+  ]);
+});
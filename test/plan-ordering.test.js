@@ -0,0 +1,92 @@
+// ============================================================
+// PLAN ORDERING - template slot order and the ordering rules
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bhajan-ordering-')));
+const { sequelize, orderPlan, sortPlan } = require('../main');
+
+test.after(async () => {
+  await sequelize.close();
+});
+
+const slots = ["Ganesha", "Guru", "Devi", "Shiva", "Krishna"].map(deity => ({ deity }));
+
+function bhajan(deity, singer_name, fields = {}) {
+  return { deity, singer_name, partner_name: null, gender: null, speed: "medium", plan_position: null, ...fields };
+}
+
+const deities = plan => plan.map(item => item.deity);
+
+test("with no rules the plan follows the template's slot order", () => {
+  const items = [bhajan("Shiva", "Ravi"), bhajan("Ganesha", "Soham"), bhajan("devi", "Meera"), bhajan("Guru", "Anne")];
+  assert.deepStrictEqual(deities(orderPlan(items, slots, [])), ["Ganesha", "Guru", "devi", "Shiva"]);
+});
+
+test("speed_ramp leaves template slots in order and ramps the deities outside the template", () => {
+  const items = [
+    bhajan("Guru", "Anne", { speed: "fast" }),
+    bhajan("Ganesha", "Soham", { speed: "slow" }),
+    bhajan("Hanuman", "Ravi", { speed: "fast" }),
+    bhajan("Rama", "Meera", { speed: "slow" }),
+    bhajan("Sai", "Kamlesh", { speed: "medium" })
+  ];
+  const plan = orderPlan(items, slots, ["speed_ramp"]);
+  assert.deepStrictEqual(deities(plan), ["Ganesha", "Guru", "Rama", "Sai", "Hanuman"]);
+  
+  // Without the rule the group outside the template is in singer order
+  assert.deepStrictEqual(orderPlan(items, slots, []).slice(2).map(item => item.singer_name), ["Kamlesh", "Meera", "Ravi"]);
+});
+
+test("alternate_gender brings a later slot forward and otherwise keeps slot order", () => {
+  const items = [
+    bhajan("Ganesha", "Soham", { gender: "Male" }),
+    bhajan("Guru", "Ravi", { gender: "Male" }),
+    bhajan("Devi", "Meera", { gender: "Female" }),
+    bhajan("Shiva", "Anne", { gender: "Female" })
+  ];
+  assert.deepStrictEqual(deities(orderPlan(items, slots, ["alternate_gender"])), ["Ganesha", "Devi", "Guru", "Shiva"]);
+});
+
+test("alternate_gender fits bhajans without a gender anywhere", () => {
+  const items = [
+    bhajan("Ganesha", "Soham", { gender: "Male" }),
+    bhajan("Guru", "Kamlesh"),
+    bhajan("Devi", "Ravi", { gender: "Male" })
+  ];
+  assert.deepStrictEqual(deities(orderPlan(items, slots, ["alternate_gender"])), ["Ganesha", "Guru", "Devi"]);
+});
+
+test("no_back_to_back_singer counts partners and ignores case", () => {
+  const items = [
+    bhajan("Ganesha", "Soham", { partner_name: "Ravi" }),
+    bhajan("Guru", "ravi"),
+    bhajan("Devi", "Meera")
+  ];
+  assert.deepStrictEqual(deities(orderPlan(items, slots, ["no_back_to_back_singer"])), ["Ganesha", "Devi", "Guru"]);
+});
+
+test("when not every rule can be met, alternating gender gives way before the singer rule", () => {
+  const items = [
+    bhajan("Ganesha", "Soham", { gender: "Male" }),
+    bhajan("Guru", "Soham", { gender: "Female" }),
+    bhajan("Devi", "Ravi", { gender: "Male" })
+  ];
+  const plan = orderPlan(items, slots, ["no_back_to_back_singer", "alternate_gender"]);
+  assert.deepStrictEqual(deities(plan), ["Ganesha", "Devi", "Guru"]);
+});
+
+test("hand-placed rows come first and the rest follow, checked against the last of them", () => {
+  const items = [
+    bhajan("Ganesha", "Soham", { gender: "Male" }),
+    bhajan("Guru", "Ravi", { gender: "Male" }),
+    bhajan("Devi", "Meera", { gender: "Female" }),
+    bhajan("Shiva", "Anne", { gender: "Male", plan_position: 1 })
+  ];
+  assert.deepStrictEqual(deities(sortPlan(items, slots, ["alternate_gender"])), ["Shiva", "Devi", "Ganesha", "Guru"]);
+});
@@ -0,0 +1,69 @@
+// ============================================================
+// REPEATS - which earlier sessions a bhajan counts as repeated from
+// Runs against a fresh database in a temporary directory.
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bhajan-repeats-')));
+const { sequelize, migrateUp, Session, BhajanSubmission, findRecentRepeats } = require('../main');
+
+test.before(async () => {
+  await migrateUp();
+});
+
+test.after(async () => {
+  await sequelize.close();
+});
+
+let deityCount = 0;
+
+async function addSession(session_date, start_time) {
+  return Session.create({ session_date, start_time, venue: "Sai Centre" });
+}
+
+async function sing(session, singer_name, title) {
+  return BhajanSubmission.create({
+    session_id: session.id,
+    session_date: session.session_date,
+    singer_name,
+    title,
+    deity: `Deity ${++deityCount}`,
+    speed: "medium"
+  });
+}
+
+async function repeatedBy(item, session) {
+  return (await findRecentRepeats(item, session)).map(repeat => repeat.singer_name);
+}
+
+test("of two sessions on one day, only the later one counts the earlier one's bhajans", async () => {
+  const morning = await addSession("2030-03-07", "09:00");
+  const evening = await addSession("2030-03-07", "18:00");
+  const early = await sing(morning, "Soham", "Guru Vandana");
+  const late = await sing(evening, "Trupti", "Guru Vandana");
+  
+  assert.deepStrictEqual(await repeatedBy(late, evening), ["Soham"]);
+  assert.deepStrictEqual(await repeatedBy(early, morning), []);
+});
+
+test("a session a week earlier counts, and one a week later does not", async () => {
+  const first = await addSession("2030-04-04", "19:00");
+  const second = await addSession("2030-04-11", "19:00");
+  const before = await sing(first, "Anne", "Jaya Guru Omkara");
+  const after = await sing(second, "Ravi", "Jaya Guru Omkara");
+  
+  assert.deepStrictEqual(await repeatedBy(after, second), ["Anne"]);
+  assert.deepStrictEqual(await repeatedBy(before, first), []);
+});
+
+test("a bhajan not yet saved is checked against its own session too", async () => {
+  const session = await addSession("2030-05-02", "19:00");
+  await sing(session, "Meera", "Sairam Sairam Sairam Bhajo");
+  
+  assert.deepStrictEqual(await repeatedBy({ title: "Sai Ram Sairam Sairam Bhajo" }, session), ["Meera"]);
+});
@@ -0,0 +1,55 @@
+// ============================================================
+// SCALES - reading scales as singers type them
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bhajan-scales-')));
+const { sequelize, parseScale, normaliseScale } = require('../main');
+
+test.after(async () => {
+  await sequelize.close();
+});
+
+const noteOf = text => (parseScale(text) || {}).name;
+
+test("notes are read with sharps and flats written any common way", () => {
+  assert.deepStrictEqual(parseScale("C#"), { pitch: 1, name: "C#", harmonium: "Kali 1" });
+  ["c sharp", "C♯", "Db", "d flat", "D♭", "Scale: C#"].forEach(text => assert.strictEqual(noteOf(text), "C#", text));
+  assert.strictEqual(noteOf("G major"), "G");
+});
+
+test("sharps and flats wrap round the octave", () => {
+  assert.strictEqual(noteOf("B#"), "C");
+  assert.strictEqual(noteOf("Cb"), "B");
+});
+
+test("harmonium keys are read in either order and in the spellings singers use", () => {
+  assert.strictEqual(noteOf("Kali 2"), "D#");
+  assert.strictEqual(noteOf("2 kaali"), "D#");
+  assert.strictEqual(noteOf("5 safed"), "G");
+  assert.strictEqual(noteOf("white 1"), "C");
+  assert.strictEqual(parseScale("G").harmonium, "Safed 5");
+});
+
+test("a scale as formatScale writes it reads back as the same note", () => {
+  assert.strictEqual(noteOf("G (Safed 5)"), "G");
+  assert.strictEqual(noteOf("A# (Kali 5)"), "A#");
+});
+
+test("blanks and anything unrecognised are not a scale", () => {
+  ["", null, "Not specified", "N/A", "H", "Kali 6", "Safed 8", "high"].forEach(text => {
+    assert.strictEqual(parseScale(text), null, String(text));
+  });
+});
+
+test("stored scales are the canonical note, Not specified, or what was typed", () => {
+  assert.strictEqual(normaliseScale("kali 2"), "D#");
+  assert.strictEqual(normaliseScale("  "), "Not specified");
+  assert.strictEqual(normaliseScale(undefined), "Not specified");
+  assert.strictEqual(normaliseScale(" quite high "), "quite high");
+});
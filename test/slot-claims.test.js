@@ -0,0 +1,115 @@
+// ============================================================
+// SLOT CLAIMS - one submission per deity slot
+// Runs against a fresh database in a temporary directory.
+// ============================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'bhajan-slots-')));
+const { UniqueConstraintError } = require('sequelize');
+const { sequelize, migrateUp, Session, BhajanSubmission, holdSlot, claimSlot } = require('../main');
+
+let session;
+
+test.before(async () => {
+  await migrateUp();
+  session = await Session.create({ session_date: "2030-02-07", start_time: "19:00", venue: "Sai Centre" });
+});
+
+test.after(async () => {
+  await sequelize.close();
+});
+
+function submission(fields) {
+  return {
+    session_id: session.id,
+    session_date: session.session_date,
+    title: "Hari Shri Ganapati Om",
+    speed: "medium",
+    edit_token: `token-${fields.singer_name}`,
+    ...fields
+  };
+}
+
+test("a slot spelt in another case is already taken", async () => {
+  const first = await claimSlot(submission({ singer_name: "Soham", deity: "Ganesha" }));
+  assert.ok(first.submission);
+  
+  const second = await claimSlot(submission({ singer_name: "Trupti", deity: "ganesha" }));
+  assert.strictEqual(second.submission, undefined);
+  assert.strictEqual(second.taken.id, first.submission.id);
+  assert.strictEqual(await BhajanSubmission.count({ where: { session_id: session.id } }), 1);
+});
+
+test("of two singers claiming one slot at once, one gets it and the other is told it is taken", async () => {
+  const claimInTransaction = singer_name => sequelize.transaction(transaction =>
+    claimSlot(submission({ singer_name, deity: "Guru" }), { transaction }));
+  
+  const claims = await Promise.all([claimInTransaction("Ravi"), claimInTransaction("Meera")]);
+  const won = claims.filter(claim => claim.submission);
+  const lost = claims.filter(claim => claim.taken);
+  assert.strictEqual(won.length, 1);
+  assert.strictEqual(lost.length, 1);
+  assert.strictEqual(lost[0].taken.id, won[0].submission.id);
+});
+
+test("every connection, a transaction's included, waits for locks", async () => {
+  const [[outside]] = await sequelize.query("PRAGMA busy_timeout");
+  const [[inside]] = await sequelize.transaction(transaction => sequelize.query("PRAGMA busy_timeout", { transaction }));
+  assert.ok(outside.timeout >= 5000);
+  assert.strictEqual(inside.timeout, outside.timeout);
+});
+
+test("a claim waits for another connection's write instead of failing", async () => {
+  const transaction = await sequelize.transaction();
+  await BhajanSubmission.create(submission({ singer_name: "Kamlesh", deity: "Shiva" }), { transaction });
+  const committing = new Promise(resolve => setTimeout(resolve, 1500)).then(() => transaction.commit());
+  
+  const claim = await claimSlot(submission({ singer_name: "Sunita", deity: "Sai" }));
+  await committing;
+  assert.ok(claim.submission);
+});
+
+test("the database refuses a second row for a slot whatever its case", async () => {
+  await assert.rejects(
+    BhajanSubmission.create(submission({ singer_name: "Anne", deity: "GANESHA" })),
+    UniqueConstraintError
+  );
+});
+
+test("a held slot can only be claimed by the form that holds it", async () => {
+  const hold = await holdSlot(session.id, "Krishna", "form-a");
+  assert.ok(hold);
+  assert.strictEqual(await holdSlot(session.id, "Krishna", "form-b"), null);
+  
+  const blocked = await claimSlot(submission({ singer_name: "Ravi", deity: "Krishna" }), { holdToken: "form-b" });
+  assert.strictEqual(blocked.heldUntil.getTime(), hold.expires_at.getTime());
+  
+  const claim = await claimSlot(submission({ singer_name: "Meera", deity: "Krishna" }), { holdToken: "form-a" });
+  assert.ok(claim.submission);
+  assert.strictEqual(await holdSlot(session.id, "krishna", "form-a"), null);
+});
+
+test("holding another slot lets go of the one held before, by form or by account", async () => {
+  assert.ok(await holdSlot(session.id, "Rama", "form-c"));
+  assert.ok(await holdSlot(session.id, "Vitthala", "form-c"));
+  assert.ok(await holdSlot(session.id, "Rama", "form-d"));
+  
+  const user = { id: 7 };
+  assert.ok(await holdSlot(session.id, "Hanuman", "phone-form", user));
+  assert.ok(await holdSlot(session.id, "Hanuman", "laptop-form", user), "the account's own hold carries over");
+  assert.ok(await holdSlot(session.id, "Mata", "other-form", user));
+  assert.ok(await holdSlot(session.id, "Hanuman", "form-e"));
+});
+
+test("of two forms holding one slot at once, only one gets it", async () => {
+  const holds = await Promise.all([
+    holdSlot(session.id, "SarvaDharma", "form-f"),
+    holdSlot(session.id, "SarvaDharma", "form-g")
+  ]);
+  assert.strictEqual(holds.filter(Boolean).length, 1);
+});
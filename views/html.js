@@ -0,0 +1,66 @@
+// ============================================================
+// HTML TEMPLATES - escaping by default
+// Every page is built with the html tag below. Values placed into a
+// template are escaped unless they are markup made by html() or raw()
+// themselves, so user input cannot break out of the page.
+// ============================================================
+
+// Markup that is already safe to place into a page as it is
+class SafeHtml {
+  constructor(text) {
+    this.text = text;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Trusted markup, such as a style sheet or script written in this codebase.
+// Never pass user input through here.
+function raw(text) {
+  return new SafeHtml(String(text));
+}
+
+// Arrays are joined without a separator; null, undefined and false leave nothing
+function render(value) {
+  if (value instanceof SafeHtml) return value.text;
+  if (Array.isArray(value)) return value.map(render).join("");
+  if (value === null || value === undefined || value === false) return "";
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  let text = strings[0];
+  values.forEach((value, index) => {
+    text += render(value) + strings[index + 1];
+  });
+  return new SafeHtml(text);
+}
+
+// A value as a JavaScript literal inside an HTML attribute, as in
+// onclick="showDetails(${jsArg(name)})". The browser decodes the entities
+// before running the script, so quotes in the value stay inside the string.
+function jsArg(value) {
+  return new SafeHtml(escapeHtml(JSON.stringify(value === undefined ? null : value)));
+}
+
+// A value as a JavaScript literal inside a <script> element, where entities
+// are not decoded; "<" is escaped so "</script>" cannot end the element
+function scriptJson(value) {
+  return new SafeHtml(JSON.stringify(value === undefined ? null : value)
+    .replace(/</g, "\\u003c")
+    .replace(/\u2028/g, "\\u2028")
+    .replace(/\u2029/g, "\\u2029"));
+}
+
+module.exports = { SafeHtml, escapeHtml, raw, html, jsArg, scriptJson };
@@ -0,0 +1,16 @@
+// ============================================================
+// VIEWS
+// Every page the app serves is rendered from here. Templates use the html
+// tag from ./html, which escapes whatever is placed into them.
+// ============================================================
+
+module.exports = {
+  ...require('./html'),
+  ...require('./layout'),
+  ...require('./partials'),
+  ...require('./notices'),
+  ...require('./login'),
+  ...require('./submit-form'),
+  ...require('./my-bhajan'),
+  ...require('./plan-view')
+};
@@ -0,0 +1,93 @@
+// ============================================================
+// PAGE LAYOUTS
+// The document skeleton every page shares, and the convenor console
+// around it. Layouts return finished pages as strings for res.send().
+// ============================================================
+
+const { html } = require('./html');
+const { PAGE_BODY_STYLE, SAFFRON_GRADIENT, panelStyle } = require('./partials');
+
+// A whole page. style is the page's CSS (raw markup or a list of it);
+// head is anything else that belongs in <head>, such as a font link.
+function page({ title, head, style, body }) {
+  return html`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>${title}</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  ${head}
+  <style>${style}
+  </style>
+</head>
+<body>
+${body}
+</body>
+</html>`.toString();
+}
+
+const ADMIN_STYLE = html`${PAGE_BODY_STYLE}${panelStyle(960)}
+    h2 { color: #343a40; margin-bottom: 20px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 12px; }
+    th, td { border: 1px solid #ddd; padding: 8px; font-size: 14px; }
+    th { background: #eee; }
+    td.actions { white-space: nowrap; }
+    td.actions form { display: inline; }
+    .top-form { margin-bottom: 16px; }
+    .links { font-size: 14px; margin-bottom: 16px; }
+    .links a, td a { color: #ff7700; }
+    input, select, textarea, button {
+      padding: 8px;
+      border-radius: 4px;
+      border: 1px solid #ccc;
+      margin-right: 8px;
+      font-family: inherit;
+    }
+    button {
+      background: ${SAFFRON_GRADIENT};
+      color: white;
+      font-weight: 600;
+      border: none;
+      cursor: pointer;
+    }
+    button:disabled { opacity: 0.4; cursor: default; }
+    button.small { padding: 4px 10px; margin-right: 4px; }
+    button.danger { background: #e03131; }
+    .edit-form label {
+      display: block;
+      font-size: 14px;
+      font-weight: 500;
+      color: #495057;
+      margin-bottom: 12px;
+    }
+    .edit-form input, .edit-form select, .edit-form textarea {
+      display: block;
+      width: 100%;
+      max-width: 420px;
+      margin-top: 4px;
+      box-sizing: border-box;
+    }
+    .repeat-flag { font-size: 12px; color: #e67700; margin-top: 4px; }
+    .note-box {
+      background: #fff5f5;
+      border: 2px solid #ffc9c9;
+      border-radius: 8px;
+      padding: 12px 16px;
+      margin: 16px 0;
+      font-size: 14px;
+      color: #495057;
+    }`;
+
+// A page of the convenor console; title is plain text
+function adminPage(title, content) {
+  return page({
+    title: `${title} - Bhajan Scheduler Admin`,
+    style: ADMIN_STYLE,
+    body: html`  <div class="container">
+    <h2>🛠️ ${title}</h2>
+    ${content}
+  </div>`
+  });
+}
+
+module.exports = { page, adminPage };
@@ -0,0 +1,128 @@
+// ============================================================
+// SIGN-IN VIEWS - /login, /login/code and /signup
+// ============================================================
+
+const { html } = require('./html');
+const { page } = require('./layout');
+const { SAFFRON_GRADIENT, CENTRED_BODY_STYLE, CARD_STYLE, lineBreaks } = require('./partials');
+
+const LOGIN_STYLE = html`${CENTRED_BODY_STYLE}${CARD_STYLE}
+    .container { width: 100%; }
+    h2 { color: #343a40; margin-bottom: 8px; }
+    p { color: #495057; line-height: 1.6; margin-bottom: 20px; }
+    .problem {
+      background: #fff5f5;
+      border: 2px solid #ffc9c9;
+      border-radius: 8px;
+      padding: 12px;
+      margin-bottom: 16px;
+      color: #c92a2a;
+      text-align: left;
+    }
+    .message {
+      background: #e7f5ff;
+      border: 2px solid #a5d8ff;
+      border-radius: 8px;
+      padding: 12px;
+      margin-bottom: 16px;
+      color: #1864ab;
+    }
+    form { text-align: left; margin-bottom: 8px; }
+    label { display: block; font-size: 14px; font-weight: 500; color: #495057; margin-bottom: 12px; }
+    input {
+      display: block;
+      width: 100%;
+      padding: 10px;
+      margin-top: 4px;
+      border: 2px solid #e9ecef;
+      border-radius: 8px;
+      font-size: 15px;
+      box-sizing: border-box;
+    }
+    button {
+      display: block;
+      width: 100%;
+      padding: 12px;
+      background: ${SAFFRON_GRADIENT};
+      color: white;
+      border: none;
+      border-radius: 8px;
+      font-size: 16px;
+      font-weight: 600;
+      cursor: pointer;
+    }
+    button.secondary { background: #f1f3f5; color: #495057; border: 2px solid #e9ecef; }
+    .divider { color: #868e96; font-size: 13px; margin: 16px 0; }
+    .note { font-size: 13px; color: #868e96; margin-top: 16px; }
+    .note a { color: #ff7700; }`;
+
+function loginCard(title, body) {
+  return page({
+    title,
+    style: LOGIN_STYLE,
+    body: html`  <div class="container">
+    <h2>🙏 ${title}</h2>
+    ${body}
+  </div>`
+  });
+}
+
+function problemBox(problems) {
+  return problems && problems.length > 0 ? html`<div class="problem">${lineBreaks(problems)}</div>` : "";
+}
+
+// Password and code sign-in side by side; most singers only ever use a code
+function loginPage({ next, login, problem, message }) {
+  return loginCard("Sign In", html`
+    <p>Sign in with the email address or phone number of your account.</p>
+    ${message ? html`<div class="message">${message}</div>` : ""}
+    ${problemBox(problem ? [problem] : [])}
+    <form method="post" action="/login/code">
+      <input type="hidden" name="next" value="${next}" />
+      <label>Email or phone <input type="text" name="login" value="${login}" required autocomplete="username" /></label>
+      <button type="submit">Send Me a Code</button>
+    </form>
+    <div class="divider">or with a password</div>
+    <form method="post" action="/login">
+      <input type="hidden" name="next" value="${next}" />
+      <label>Email or phone <input type="text" name="login" value="${login}" required autocomplete="username" /></label>
+      <label>Password <input type="password" name="password" required autocomplete="current-password" /></label>
+      <button type="submit" class="secondary">Sign In</button>
+    </form>
+    <div class="note">New here? <a href="/signup?next=${encodeURIComponent(next || "")}">Create a singer account</a></div>`);
+}
+
+// Shown whether or not the account exists, so it cannot be used to find out
+function loginCodePage({ next, login, minutes, problem }) {
+  return loginCard("Enter Your Code", html`
+    <p>If an account uses <strong>${login}</strong>, a six-digit code is on its way. It lasts ${minutes} minutes.</p>
+    ${problemBox(problem ? [problem] : [])}
+    <form method="post" action="/login/code/verify">
+      <input type="hidden" name="next" value="${next}" />
+      <input type="hidden" name="login" value="${login}" />
+      <label>Code <input type="text" name="code" required inputmode="numeric" autocomplete="one-time-code" autofocus /></label>
+      <button type="submit">Sign In</button>
+    </form>
+    <form method="post" action="/login/code">
+      <input type="hidden" name="next" value="${next}" />
+      <input type="hidden" name="login" value="${login}" />
+      <button type="submit" class="secondary">Send a New Code</button>
+    </form>`);
+}
+
+// Anyone can make a singer account; convenors are set up by a coordinator
+function signupPage({ next, fields, problems }) {
+  return loginCard("Create an Account", html`
+    <p>Sign up to submit bhajans. We send a code to your email or phone each time you sign in.</p>
+    ${problemBox(problems)}
+    <form method="post" action="/signup">
+      <input type="hidden" name="next" value="${next}" />
+      <label>Name <input type="text" name="name" value="${fields.name}" required autocomplete="name" /></label>
+      <label>Email <input type="email" name="email" value="${fields.email}" autocomplete="email" /></label>
+      <label>Phone <input type="tel" name="phone" value="${fields.phone}" autocomplete="tel" /></label>
+      <button type="submit">Create Account</button>
+    </form>
+    <div class="note">Already have one? <a href="/login?next=${encodeURIComponent(next || "")}">Sign in</a></div>`);
+}
+
+module.exports = { loginPage, loginCodePage, signupPage };
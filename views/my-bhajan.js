@@ -0,0 +1,119 @@
+// ============================================================
+// SELF-SERVICE VIEW - /my-bhajan/:token
+// ============================================================
+
+const { html, jsArg } = require('./html');
+const { page } = require('./layout');
+const { SAFFRON_GRADIENT, CENTRED_BODY_STYLE, options } = require('./partials');
+
+// A wider, left-aligned card than the centred CARD_STYLE messages
+const MY_BHAJAN_STYLE = html`${CENTRED_BODY_STYLE}
+    .container {
+      max-width: 480px;
+      width: 100%;
+      background: white;
+      padding: 32px;
+      border-radius: 16px;
+      box-shadow: 0 8px 24px rgba(0,0,0,0.08);
+    }
+    h2 { color: #343a40; margin-bottom: 16px; text-align: center; }
+    p { color: #495057; line-height: 1.6; margin-bottom: 24px; }
+    .message {
+      background: #e7f5ff;
+      border: 2px solid #a5d8ff;
+      border-radius: 8px;
+      padding: 12px;
+      margin-bottom: 16px;
+      color: #1864ab;
+    }
+    .details-box {
+      background: #f8f9fa;
+      border: 2px solid #e9ecef;
+      border-radius: 12px;
+      padding: 16px;
+      margin-bottom: 20px;
+    }
+    .details-box div { margin: 6px 0; color: #495057; }
+    label { display: block; font-size: 14px; font-weight: 500; color: #495057; margin-bottom: 12px; }
+    input, select {
+      display: block;
+      width: 100%;
+      padding: 10px;
+      margin-top: 4px;
+      border: 2px solid #e9ecef;
+      border-radius: 8px;
+      font-size: 15px;
+      box-sizing: border-box;
+    }
+    button, a.button {
+      display: block;
+      width: 100%;
+      padding: 12px;
+      margin-top: 12px;
+      background: ${SAFFRON_GRADIENT};
+      color: white;
+      border: none;
+      border-radius: 8px;
+      font-size: 16px;
+      font-weight: 600;
+      text-align: center;
+      text-decoration: none;
+      cursor: pointer;
+      box-sizing: border-box;
+    }
+    button.withdraw { background: #f1f3f5; color: #e03131; border: 2px solid #ffc9c9; }
+    .note { font-size: 13px; color: #868e96; margin-top: 16px; text-align: center; }`;
+
+// The singer's own bhajan, editable until the cutoff. Without an item
+// (a bad link, or just withdrawn) only the message and a form link show.
+// values, when given, fill the form in place of the saved ones.
+function myBhajanPage({ item, sessionId, message, values, confirmRepeat, closedReason, cutoff, speedOptions }) {
+  let content;
+
+  if (!item) {
+    content = html`
+    <p>${message}</p>
+    <a class="button" href="${sessionId ? `/submit-form?session_id=${sessionId}` : "/submit-form"}">Go to Bhajan Form</a>`;
+  } else {
+    const tokenPath = `/my-bhajan/${encodeURIComponent(item.edit_token)}`;
+    const shown = values || { title: item.title, scale: item.scale === "Not specified" ? "" : item.scale, speed: item.speed };
+
+    content = html`
+    ${message ? html`<div class="message">${message}</div>` : ""}
+    <div class="details-box">
+      <div><strong>Singer:</strong> ${item.singer_name}</div>
+      <div><strong>Deity:</strong> ${item.deity}</div>
+      <div><strong>Session:</strong> ${item.session_date}</div>
+    </div>
+    ${!closedReason ? html`
+    <form method="post" action="${tokenPath}">
+      <label>Bhajan Title <input type="text" name="title" value="${shown.title}" required /></label>
+      <label>Scale / Sa <input type="text" name="scale" value="${shown.scale}" placeholder="e.g. C, C#, D" /></label>
+      <label>Speed <select name="speed" required>${options(speedOptions, shown.speed)}</select></label>
+      ${confirmRepeat ? html`<input type="hidden" name="confirm_repeat" value="1" />` : ""}
+      <button type="submit">${confirmRepeat ? "Save Anyway" : "Save Changes"}</button>
+    </form>
+    <form method="post" action="${tokenPath}/withdraw"
+          onsubmit="return confirm(${jsArg(`Withdraw this bhajan? The ${item.deity} slot will be given up.`)});">
+      <button type="submit" class="withdraw">Withdraw Bhajan</button>
+    </form>
+    <div class="note">Changes are allowed until ${cutoff}.</div>` : html`
+    <div class="details-box">
+      <div><strong>Bhajan:</strong> ${item.title}</div>
+      <div><strong>Scale:</strong> ${item.scale || "Not specified"}</div>
+      <div><strong>Speed:</strong> ${item.speed}</div>
+    </div>
+    <div class="note">${closedReason} Please contact the convenor for any change.</div>`}`;
+  }
+
+  return page({
+    title: "My Bhajan",
+    style: MY_BHAJAN_STYLE,
+    body: html`  <div class="container">
+    <h2>🙏 My Bhajan</h2>
+    ${content}
+  </div>`
+  });
+}
+
+module.exports = { myBhajanPage };
@@ -0,0 +1,157 @@
+// ============================================================
+// NOTICE VIEWS
+// Single-card messages for the singer-facing routes, and the bare
+// error page every route falls back to
+// ============================================================
+
+const { html } = require('./html');
+const { page } = require('./layout');
+const { SAFFRON_GRADIENT, CENTRED_BODY_STYLE, CARD_STYLE, buttonLinks } = require('./partials');
+
+const NOTICE_STYLE = html`${CENTRED_BODY_STYLE}${CARD_STYLE}
+    .notice-icon { font-size: 64px; margin-bottom: 16px; }
+    h2 { color: #343a40; margin-bottom: 12px; }
+    p { color: #495057; line-height: 1.6; margin-bottom: 24px; }
+    a.button {
+      display: inline-block;
+      margin: 4px;
+      padding: 12px 24px;
+      background: ${SAFFRON_GRADIENT};
+      color: white;
+      text-decoration: none;
+      border-radius: 8px;
+      font-weight: 600;
+    }`;
+
+// Simple centred message page. message is plain text, or html`` for markup.
+function noticePage(icon, title, message, links) {
+  return page({
+    title,
+    style: NOTICE_STYLE,
+    body: html`  <div class="container">
+    <div class="notice-icon">${icon}</div>
+    <h2>${title}</h2>
+    <p>${message}</p>
+    ${buttonLinks(links)}
+  </div>`
+  });
+}
+
+const SLOT_TAKEN_STYLE = html`${CENTRED_BODY_STYLE}${CARD_STYLE}
+    .error-icon { font-size: 64px; margin-bottom: 16px; }
+    h2 { color: #e03131; margin-bottom: 12px; }
+    p { color: #495057; line-height: 1.6; margin-bottom: 24px; }
+    .info-box {
+      background: #fff5f5;
+      border: 2px solid #ffc9c9;
+      border-radius: 8px;
+      padding: 16px;
+      margin-bottom: 24px;
+      text-align: left;
+    }
+    .info-box strong { color: #c92a2a; }
+    a.button {
+      display: inline-block;
+      padding: 12px 24px;
+      background: ${SAFFRON_GRADIENT};
+      color: white;
+      text-decoration: none;
+      border-radius: 8px;
+      font-weight: 600;
+      transition: transform 0.3s;
+    }
+    a.button:hover { transform: translateY(-2px); }`;
+
+// The slot went to someone else before this form was submitted
+function slotTakenPage({ sessionId, deity, singerName, title, takenAt }) {
+  return page({
+    title: "Slot Already Taken",
+    style: SLOT_TAKEN_STYLE,
+    body: html`  <div class="container">
+    <div class="error-icon">⚠️</div>
+    <h2>Slot Already Taken</h2>
+    <p>Sorry, the <strong>${deity}</strong> deity slot has already been taken for this session.</p>
+    <div class="info-box">
+      <strong>Taken by:</strong> ${singerName}<br>
+      <strong>Bhajan:</strong> ${title}<br>
+      <strong>Time:</strong> ${takenAt}
+    </div>
+    <p>Please go back and select a different deity.</p>
+    <a class="button" href="/submit-form?session_id=${sessionId}">← Go Back</a>
+  </div>`
+  });
+}
+
+const REPEAT_WARNING_STYLE = html`${CENTRED_BODY_STYLE}${CARD_STYLE}
+    .warning-icon { font-size: 64px; margin-bottom: 16px; }
+    h2 { color: #e67700; margin-bottom: 12px; }
+    p { color: #495057; line-height: 1.6; margin-bottom: 24px; }
+    .info-box {
+      background: #fff9db;
+      border: 2px solid #ffe066;
+      border-radius: 8px;
+      padding: 16px;
+      margin-bottom: 24px;
+      text-align: left;
+    }
+    .info-box div { margin: 4px 0; color: #495057; }
+    a.button, button {
+      display: block;
+      width: 100%;
+      padding: 12px 24px;
+      margin-top: 12px;
+      background: ${SAFFRON_GRADIENT};
+      color: white;
+      border: none;
+      text-decoration: none;
+      border-radius: 8px;
+      font-size: 15px;
+      font-weight: 600;
+      cursor: pointer;
+      box-sizing: border-box;
+    }
+    a.secondary { background: #f1f3f5; color: #495057; }`;
+
+// Form fields carried through the confirmation, so "Submit Anyway" resends them
+const RESUBMITTED_FIELDS = ["session_id", "hold_token", "singer_name", "gender", "phone", "partner_name", "deity", "title", "speed", "scale"];
+
+// The bhajan was sung in the windowWeeks up to this session; blocked pages offer no way to go ahead
+function repeatWarningPage({ fields, repeats, blocked, windowWeeks }) {
+  const formLink = `/submit-form?session_id=${encodeURIComponent(fields.session_id)}`;
+  const hiddenFields = RESUBMITTED_FIELDS.map(name =>
+    html`<input type="hidden" name="${name}" value="${fields[name]}" />
+      `);
+  const repeatRows = repeats.map(item =>
+    html`<div><strong>${item.session_date}:</strong> ${item.singer_name} (${item.deity})</div>
+        `);
+
+  return page({
+    title: "Bhajan Sung Recently",
+    style: REPEAT_WARNING_STYLE,
+    body: html`  <div class="container">
+    <div class="warning-icon">🔁</div>
+    <h2>Bhajan Sung Recently</h2>
+    <p><strong>${fields.title}</strong> was sung in the ${windowWeeks} weeks up to this session:</p>
+    <div class="info-box">
+        ${repeatRows}
+    </div>
+    ${blocked ? html`
+    <p>Please choose a different bhajan for the ${fields.deity} slot.</p>
+    <a class="button" href="${formLink}">← Go Back</a>` : html`
+    <p>You can still submit it, or go back and choose another bhajan.</p>
+    <form method="post" action="/submit-form">
+      ${hiddenFields}
+      <input type="hidden" name="confirm_repeat" value="1" />
+      <button type="submit">Submit Anyway 🙏</button>
+    </form>
+    <a class="button secondary" href="${formLink}">← Choose Another Bhajan</a>`}
+  </div>`
+  });
+}
+
+// What a route sends when something unexpected fails
+function errorPage(error) {
+  return html`<h1>Error</h1><p>${error.message}</p>`.toString();
+}
+
+module.exports = { noticePage, slotTakenPage, repeatWarningPage, errorPage };
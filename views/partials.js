@@ -0,0 +1,114 @@
+// ============================================================
+// PARTIALS
+// Styles and markup that several pages repeat
+// ============================================================
+
+const { html, raw } = require('./html');
+
+// The saffron of buttons and highlights across the site
+const SAFFRON_GRADIENT = raw("linear-gradient(135deg, #ff9933 0%, #ff7700 100%)");
+
+// Warm background behind the plan, harmonium and admin pages
+const PAGE_BODY_STYLE = html`
+    body {
+      font-family: 'Segoe UI', sans-serif;
+      background: linear-gradient(135deg, #fef5e7 0%, #fdebd0 100%);
+      min-height: 100vh;
+      padding: 20px;
+    }`;
+
+// The same background with a single card centred on it
+const CENTRED_BODY_STYLE = html`
+    body {
+      font-family: 'Segoe UI', sans-serif;
+      background: linear-gradient(135deg, #fef5e7 0%, #fdebd0 100%);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      min-height: 100vh;
+      padding: 20px;
+    }`;
+
+// The narrow card of the singer-facing messages
+const CARD_STYLE = html`
+    .container {
+      max-width: 480px;
+      background: white;
+      padding: 32px;
+      border-radius: 16px;
+      box-shadow: 0 8px 24px rgba(0,0,0,0.08);
+      text-align: center;
+    }`;
+
+// A white panel across the page for tables
+function panelStyle(maxWidth) {
+  return html`
+    .container {
+      max-width: ${maxWidth}px;
+      margin: 0 auto;
+      background: white;
+      padding: 24px;
+      border-radius: 16px;
+      box-shadow: 0 8px 24px rgba(0,0,0,0.08);
+    }`;
+}
+
+// <option>s for a <select>. Choices are { value, label } or plain strings,
+// which serve as both.
+function options(choices, selected) {
+  return choices.map(choice => {
+    const { value, label } = typeof choice === "object" ? choice : { value: choice, label: choice };
+    return html`<option value="${value}" ${value === selected ? "selected" : ""}>${label}</option>`;
+  });
+}
+
+// Lines of plain text, one under the other
+function lineBreaks(lines) {
+  return lines.map((line, index) => html`${index > 0 ? html`<br>` : ""}${line}`);
+}
+
+// Saffron button links, as [{ href, text }]
+function buttonLinks(links) {
+  return links.map(link => html`<a class="button" href="${link.href}">${link.text}</a>
+    `);
+}
+
+// How often pages re-fetch when the live event stream is unavailable
+const LIVE_POLL_SECONDS = 15;
+
+// Client code for pages that follow a session live: refresh() runs on every
+// slot or plan event, and on a timer while the stream is down or unsupported.
+// It also runs when the stream (re)connects, to catch anything missed.
+const WATCH_SESSION_SCRIPT = raw(`
+    function watchSession(sessionId, refresh) {
+      let pollTimer = null;
+      const startPolling = () => {
+        if (!pollTimer) pollTimer = setInterval(refresh, ${LIVE_POLL_SECONDS * 1000});
+      };
+      const stopPolling = () => {
+        clearInterval(pollTimer);
+        pollTimer = null;
+      };
+
+      if (!window.EventSource) return startPolling();
+
+      const source = new EventSource('/sessions/' + sessionId + '/events');
+      ['slot-taken', 'slot-freed', 'plan-changed'].forEach(type => source.addEventListener(type, refresh));
+      source.onopen = () => {
+        stopPolling();
+        refresh();
+      };
+      source.onerror = startPolling;
+    }`);
+
+module.exports = {
+  SAFFRON_GRADIENT,
+  PAGE_BODY_STYLE,
+  CENTRED_BODY_STYLE,
+  CARD_STYLE,
+  panelStyle,
+  options,
+  lineBreaks,
+  buttonLinks,
+  WATCH_SESSION_SCRIPT
+};
@@ -0,0 +1,463 @@
+// ============================================================
+// PLAN VIEWS - /plan-view, its harmonium sheet, printable page and changes
+// ============================================================
+
+const { html, scriptJson } = require('./html');
+const { page } = require('./layout');
+const {
+  SAFFRON_GRADIENT, PAGE_BODY_STYLE, panelStyle, options, WATCH_SESSION_SCRIPT
+} = require('./partials');
+
+// Less padding than CARD_STYLE, and left-aligned
+const CHOOSE_PLAN_STYLE = html`
+    body {
+      font-family: 'Segoe UI', sans-serif;
+      background: linear-gradient(135deg, #fef5e7 0%, #fdebd0 100%);
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 20px;
+    }
+    .container {
+      max-width: 480px;
+      background: white;
+      padding: 24px;
+      border-radius: 16px;
+      box-shadow: 0 8px 24px rgba(0,0,0,0.08);
+    }
+    h2 { color: #343a40; margin-bottom: 20px; }
+    label { display: block; font-size: 14px; font-weight: 500; color: #495057; margin-bottom: 8px; }
+    input, select {
+      width: 100%;
+      padding: 12px;
+      border: 2px solid #e9ecef;
+      border-radius: 8px;
+      font-size: 15px;
+      margin-bottom: 16px;
+      box-sizing: border-box;
+    }
+    .not-found { color: #c92a2a; font-size: 14px; margin-bottom: 16px; }
+    .or { text-align: center; color: #868e96; font-size: 13px; margin: 16px 0; }
+    button {
+      width: 100%;
+      padding: 12px;
+      background: ${SAFFRON_GRADIENT};
+      color: white;
+      border: none;
+      border-radius: 8px;
+      font-size: 16px;
+      font-weight: 600;
+      cursor: pointer;
+    }`;
+
+// Session picker, for /plan-view without a session or with one that is not found
+function choosePlanPage({ notFoundFor, sessionOptions, selectedId, defaultDate }) {
+  return page({
+    title: "Bhajan Plan - Select Date",
+    style: CHOOSE_PLAN_STYLE,
+    body: html`  <div class="container">
+    <h2>🕉️ View Bhajan Plan</h2>
+    ${notFoundFor ? html`<p class="not-found">No session found for ${notFoundFor}.</p>` : ""}
+    <form method="get" action="/plan-view">
+      <label>Bhajan Session</label>
+      <select name="session_id" required>${options(sessionOptions, selectedId)}</select>
+      <button type="submit">Show Plan</button>
+    </form>
+    <div class="or">or look up a date</div>
+    <form method="get" action="/plan-view">
+      <label>Bhajan Date</label>
+      <input type="date" name="session_date" value="${defaultDate}" required />
+      <button type="submit">Show Plan</button>
+    </form>
+  </div>`
+  });
+}
+
+const PLAN_VIEW_STYLE = html`${PAGE_BODY_STYLE}${panelStyle(800)}
+    h2 { color: #343a40; margin-bottom: 20px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 12px; }
+    th, td { border: 1px solid #ddd; padding: 8px; font-size: 14px; }
+    th { background: #eee; }
+    .top-form { margin-bottom: 16px; }
+    input, select, button {
+      padding: 8px;
+      border-radius: 4px;
+      border: 1px solid #ccc;
+      margin-right: 8px;
+    }
+    button {
+      background: ${SAFFRON_GRADIENT};
+      color: white;
+      font-weight: 600;
+      border: none;
+      cursor: pointer;
+    }
+    .repeat-flag { font-size: 12px; color: #e67700; margin-top: 4px; }
+    tr.closing td { color: #495057; font-style: italic; }
+    tr.past-end td { background: #fff5f5; }
+    .timeline-note { font-size: 14px; color: #495057; margin-top: 8px; }
+    .timeline-note.overrun { color: #c92a2a; font-weight: 600; }
+    .session-info { color: #495057; font-size: 14px; margin: -12px 0 16px; }
+    .extra-links { margin-top: 20px; font-size: 14px; }
+    .extra-links a { color: #ff7700; }
+    .plan-status {
+      display: inline-block;
+      margin-left: 8px;
+      padding: 2px 10px;
+      border-radius: 10px;
+      font-size: 12px;
+      font-weight: 600;
+    }
+    .plan-status.draft { background: #fff3bf; color: #e67700; }
+    .plan-status.final { background: #d3f9d8; color: #2b8a3e; }
+    .wa-section { margin-top: 24px; }
+    textarea {
+      width: 100%;
+      min-height: 140px;
+      padding: 12px;
+      border-radius: 8px;
+      border: 1px solid #ccc;
+      font-size: 13px;
+      box-sizing: border-box;
+    }
+    .wa-button {
+      display: inline-block;
+      margin-top: 12px;
+      padding: 10px 16px;
+      background: #25D366;
+      color: white;
+      text-decoration: none;
+      border-radius: 8px;
+      font-weight: 600;
+    }`;
+
+// One plan row; repeats is how describeRepeats() words earlier singings, if any
+function planRow({ order, item, slot, repeats }) {
+  return html`
+          <tr${slot.past_end ? html` class="past-end"` : ""}>
+            <td>${order}</td>
+            <td>${slot.start_time}</td>
+            <td>${item.singer_name}</td>
+            <td>${item.partner_name}</td>
+            <td>${item.title}${repeats ? html`<div class="repeat-flag">⚠️ Also sung by ${repeats}</div>` : ""}</td>
+            <td>${item.deity}</td>
+            <td>${item.scale || "N/A"}</td>
+            <td>${item.speed}</td>
+          </tr>
+        `;
+}
+
+// The public plan. It follows the session live by fetching itself again and
+// swapping in the status, rows, timeline note and WhatsApp text.
+function planViewPage({ session, sessionLabel, sessionOptions, rows, timeline, overrun, whatsapp }) {
+  return page({
+    title: `Bhajan Plan - ${session.session_date}`,
+    style: PLAN_VIEW_STYLE,
+    body: html`  <div class="container">
+    <h2>🕉️ Bhajan Plan for ${session.session_date}</h2>
+    <p class="session-info">
+      ${sessionLabel}
+      <span id="planStatus">${session.plan_status === "final"
+        ? html`<span class="plan-status final">Final</span>`
+        : html`<span class="plan-status draft">Draft – may still change</span>`}</span>
+    </p>
+    <form class="top-form" method="get" action="/plan-view">
+      <label>Change session:
+        <select name="session_id" required>${options(sessionOptions, session.id)}</select>
+      </label>
+      <button type="submit">Show</button>
+    </form>
+    <table>
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Time</th>
+          <th>Singer</th>
+          <th>Partner</th>
+          <th>Bhajan</th>
+          <th>Deity</th>
+          <th>Scale</th>
+          <th>Speed</th>
+        </tr>
+      </thead>
+      <tbody id="planRows">
+        ${rows.length === 0
+          ? html`<tr><td colspan="8" style="text-align:center;">No bhajans found for this date.</td></tr>`
+          : rows.map(planRow)}
+      <tr class="closing${timeline.overrun_minutes > 0 ? " past-end" : ""}">
+        <td></td>
+        <td>${timeline.closing.start_time}</td>
+        <td colspan="6">${timeline.closing.label} (${timeline.closing.duration_minutes} min)</td>
+      </tr>
+
+      </tbody>
+    </table>
+    ${overrun
+      ? html`<p class="timeline-note overrun" id="timelineNote">⚠️ ${overrun}</p>`
+      : html`<p class="timeline-note" id="timelineNote">Expected to finish around ${timeline.finish_time}, within the ${timeline.end_time} end time.</p>`}
+
+    <div class="wa-section">
+      <h3>WhatsApp Text</h3>
+      <p style="font-size:13px; color:#555;">Copy this and paste in your group, or tap the button on mobile.</p>
+      ${whatsapp.templateOptions.length > 1 ? html`
+      <form class="top-form" method="get" action="/plan-view">
+        <input type="hidden" name="session_id" value="${session.id}" />
+        <label>Message layout:
+          <select name="template_id" onchange="this.form.submit()">${options(whatsapp.templateOptions, whatsapp.chosenId)}</select>
+        </label>
+      </form>` : ""}
+      <textarea readonly id="whatsappText">${whatsapp.text}</textarea>
+      <br />
+      <a class="wa-button" id="whatsappLink" href="https://wa.me/?text=${encodeURIComponent(whatsapp.text)}" target="_blank">
+        Share via WhatsApp
+      </a>
+    </div>
+
+    <p class="extra-links">
+      <a href="/plan-view/harmonium?session_id=${session.id}">🎹 Harmonium key sheet</a> ·
+      <a href="/plan-view/print?session_id=${session.id}">🖨️ Print</a> ·
+      <a href="/plan-view/changes?session_id=${session.id}">🔁 Changes since last share</a> ·
+      <a href="/sessions/${session.id}/plan.pdf">📄 PDF</a> ·
+      <a href="/sessions/${session.id}/plan.csv">📊 CSV</a> ·
+      <a href="/sessions/${session.id}/plan.ics">📅 Add to calendar</a>
+    </p>
+  </div>
+
+  <script>
+    ${WATCH_SESSION_SCRIPT}
+
+    // Re-render this page on the server and swap in the parts that change
+    function refreshPlan() {
+      fetch(window.location.href)
+        .then(response => response.text())
+        .then(html => {
+          const fresh = new DOMParser().parseFromString(html, 'text/html');
+          ['#planStatus', '#planRows', '#timelineNote', '#whatsappText', '#whatsappLink'].forEach(selector => {
+            const current = document.querySelector(selector);
+            const next = fresh.querySelector(selector);
+            if (current && next) current.replaceWith(next);
+          });
+        })
+        .catch(() => {});
+    }
+
+    watchSession(${scriptJson(session.id)}, refreshPlan);
+  </script>`
+  });
+}
+
+const PLAN_CHANGES_STYLE = html`${PLAN_VIEW_STYLE}
+    h3 { color: #343a40; margin-top: 24px; }
+    tr.added td:first-child { color: #2b8a3e; font-weight: 600; }
+    tr.removed td:first-child { color: #c92a2a; font-weight: 600; }
+    tr.moved td:first-child, tr.changed td:first-child { color: #e67700; font-weight: 600; }
+    tr.removed td.title { text-decoration: line-through; }
+    .note { font-size: 14px; color: #495057; margin-top: 12px; }
+    .note a { color: #ff7700; }`;
+
+// One row per change; the diff comes from diffPlans()
+function changeRows(diff) {
+  const describe = item => html`${item.singer}${item.partner ? ` (${item.partner})` : ""} – ${item.deity}`;
+  return [
+    ...diff.added.map(item => html`
+        <tr class="added"><td>Added</td><td>${item.order}</td><td class="title">${item.title}</td><td>${describe(item)}</td></tr>`),
+    ...diff.removed.map(item => html`
+        <tr class="removed"><td>Removed</td><td>${item.order}</td><td class="title">${item.title}</td><td>${describe(item)}</td></tr>`),
+    ...diff.moved.map(({ item, from, to }) => html`
+        <tr class="moved"><td>Moved</td><td>${from} → ${to}</td><td class="title">${item.title}</td><td>${describe(item)}</td></tr>`),
+    ...diff.changed.map(({ item, fields }) => html`
+        <tr class="changed"><td>Changed</td><td>${item.order}</td><td class="title">${item.title}</td>
+          <td>${fields.map(change => html`<div>${change.field}: ${change.before || "none"} → ${change.after || "none"}</div>`)}</td></tr>`)
+  ];
+}
+
+// What changed between two published versions, or since the last one, with
+// the WhatsApp text that sends only the changes. versions are newest first.
+function planChangesPage({ session, sessionLabel, versions, fromVersion, toVersion, diff, changeCount, message, canPublish }) {
+  const versionChoices = versions.map(version => ({ value: version.version, label: `Version ${version.version} – ${version.sharedAt}` }));
+  const latest = versions[0];
+
+  return page({
+    title: `Plan Changes - ${session.session_date}`,
+    style: PLAN_CHANGES_STYLE,
+    body: html`  <div class="container">
+    <h2>🔁 Plan Changes</h2>
+    <p class="session-info">${sessionLabel}</p>
+    <p class="extra-links"><a href="/plan-view?session_id=${session.id}">← Back to plan</a></p>
+    ${!latest ? html`
+    <p class="note">This plan has not been published yet, so there is nothing to compare with.
+      Share the full WhatsApp text from the plan page first.</p>` : html`
+    <form class="top-form" method="get" action="/plan-view/changes">
+      <input type="hidden" name="session_id" value="${session.id}" />
+      <label>From <select name="from">${options(versionChoices, fromVersion)}</select></label>
+      <label>to <select name="to"><option value="">The plan now</option>${options(versionChoices, toVersion)}</select></label>
+      <button type="submit">Compare</button>
+    </form>
+    <p class="note">${changeCount === 0 ? "No changes" : `${changeCount} change(s)`} from version ${fromVersion}
+      to ${toVersion ? `version ${toVersion}` : "the plan as it is now"}.</p>
+    ${changeCount > 0 ? html`
+    <table>
+      <thead>
+        <tr><th>Change</th><th>#</th><th>Bhajan</th><th>Details</th></tr>
+      </thead>
+      <tbody>
+        ${changeRows(diff)}
+      </tbody>
+    </table>` : ""}
+
+    <div class="wa-section">
+      <h3>Changes Since Last Share</h3>
+      <p style="font-size:13px; color:#555;">For groups that already have version ${fromVersion}.</p>
+      <textarea readonly>${message}</textarea>
+      <br />
+      <a class="wa-button" href="https://wa.me/?text=${encodeURIComponent(message)}" target="_blank">Share via WhatsApp</a>
+    </div>`}
+    ${canPublish && !toVersion && (!latest || changeCount > 0) ? html`
+    <form method="post" action="/admin/sessions/${session.id}/publish" class="note">
+      Once this has gone out, publish the plan so the next changes are counted from here.
+      <button type="submit">Publish Version ${latest ? latest.version + 1 : 1}</button>
+    </form>` : ""}
+    ${versions.length > 0 ? html`
+    <h3>Published Versions</h3>
+    <table>
+      <thead>
+        <tr><th>Version</th><th>Shared</th><th>By</th><th>Bhajans</th></tr>
+      </thead>
+      <tbody>
+        ${versions.map(version => html`
+        <tr>
+          <td><a href="/plan-view/changes?session_id=${session.id}&from=${version.version}">Version ${version.version}</a></td>
+          <td>${version.sharedAt}</td>
+          <td>${version.publishedBy}</td>
+          <td>${version.count}</td>
+        </tr>`)}
+      </tbody>
+    </table>` : ""}
+  </div>`
+  });
+}
+
+const HARMONIUM_STYLE = html`${PAGE_BODY_STYLE}${panelStyle(800)}
+    h2 { color: #343a40; margin-bottom: 8px; }
+    .session-info { color: #495057; font-size: 14px; margin-bottom: 16px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 12px; }
+    th, td { border: 1px solid #ddd; padding: 8px; font-size: 15px; }
+    th { background: #eee; }
+    td.key { font-size: 20px; font-weight: 700; text-align: center; }
+    .singer { font-size: 12px; color: #868e96; }
+    .unknown { color: #c92a2a; }
+    tr.large-jump td { background: #fff3bf; }
+    .note { font-size: 13px; color: #555; margin-top: 12px; }
+    a { color: #ff7700; }
+    @media print {
+      body { background: white; padding: 0; }
+      .container { box-shadow: none; }
+      .no-print { display: none; }
+    }`;
+
+// Key change from the previous bhajan, in semitones
+function describeJump(jump) {
+  if (jump === null) return "";
+  if (jump === 0) return "same key";
+  return `${jump > 0 ? "+" : "−"}${Math.abs(jump)}`;
+}
+
+// Keys for the accompanist; rows moving largeKeyJump or more are highlighted
+function harmoniumPage({ session, sessionLabel, rows, largeKeyJump }) {
+  const rowsHtml = rows.length === 0
+    ? html`<tr><td colspan="6" style="text-align:center;">No bhajans in this plan yet.</td></tr>`
+    : rows.map(row => html`
+        <tr class="${row.largeJump ? "large-jump" : ""}">
+          <td>${row.order}</td>
+          <td>${row.item.deity}</td>
+          <td>${row.item.title}<div class="singer">${row.item.singer_name}</div></td>
+          <td class="key">${row.parsed ? row.parsed.name : "?"}</td>
+          <td>${row.parsed ? row.parsed.harmonium : html`<span class="unknown">${row.item.scale || "Not specified"}</span>`}</td>
+          <td>${describeJump(row.jump)}${row.largeJump ? " ⚠️" : ""}</td>
+        </tr>`);
+
+  return page({
+    title: `Harmonium Keys - ${session.session_date}`,
+    style: HARMONIUM_STYLE,
+    body: html`  <div class="container">
+    <h2>🎹 Harmonium Key Sheet</h2>
+    <p class="session-info">${sessionLabel}</p>
+    <p class="no-print"><a href="/plan-view?session_id=${session.id}">← Back to plan</a></p>
+    <table>
+      <thead>
+        <tr><th>#</th><th>Deity</th><th>Bhajan</th><th>Key</th><th>Harmonium</th><th>Change</th></tr>
+      </thead>
+      <tbody>
+        ${rowsHtml}
+      </tbody>
+    </table>
+    <p class="note">Change is in semitones from the previous bhajan, the shorter way round.
+      Highlighted rows move ${largeKeyJump} or more semitones. Keys shown in red could not be read.</p>
+  </div>`
+  });
+}
+
+const PRINT_PLAN_STYLE = html`
+    body { font-family: 'Segoe UI', sans-serif; color: #212529; max-width: 800px; margin: 0 auto; padding: 24px; }
+    h1 { font-size: 24px; margin: 0 0 4px; }
+    .session-info { color: #495057; font-size: 14px; margin: 0 0 16px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border-bottom: 1px solid #ccc; padding: 8px 6px; font-size: 14px; text-align: left; vertical-align: top; }
+    th { border-bottom: 2px solid #343a40; }
+    td.title { font-weight: 600; }
+    .partner { color: #495057; }
+    tr.closing td { font-style: italic; }
+    .note { font-size: 13px; color: #495057; margin-top: 12px; }
+    .note.overrun { color: #c92a2a; font-weight: 600; }
+    .toolbar { margin-bottom: 16px; font-size: 14px; }
+    .toolbar a { color: #ff7700; margin-right: 12px; }
+    @media print {
+      body { padding: 0; }
+      .toolbar { display: none; }
+      tr { page-break-inside: avoid; }
+    }`;
+
+// Plain black-on-white plan for the notice board; plan items are the export's
+function printPlanPage({ session, sessionLabel, plan, timeline, overrun }) {
+  const rowsHtml = plan.length === 0
+    ? html`<tr><td colspan="7" style="text-align:center;">No bhajans in this plan yet.</td></tr>`
+    : plan.map(item => html`
+        <tr>
+          <td>${item.expected_start}</td>
+          <td>${item.order}</td>
+          <td>${item.deity}</td>
+          <td class="title">${item.title}</td>
+          <td>${item.singer}${item.partner ? html` <span class="partner">(${item.partner})</span>` : ""}</td>
+          <td>${item.scale || "N/A"}</td>
+          <td>${item.speed}</td>
+        </tr>`);
+
+  return page({
+    title: `Bhajan Plan - ${session.session_date}`,
+    style: PRINT_PLAN_STYLE,
+    body: html`  <p class="toolbar">
+    <a href="/plan-view?session_id=${session.id}">← Back to plan</a>
+    <a href="#" onclick="window.print(); return false;">🖨️ Print</a>
+    <a href="/sessions/${session.id}/plan.pdf">📄 PDF</a>
+  </p>
+  <h1>🕉️ Bhajan Plan – ${session.session_date}</h1>
+  <p class="session-info">${sessionLabel} · ${session.plan_status === "final" ? "Final" : "Draft – may still change"}</p>
+  <table>
+    <thead>
+      <tr><th>Time</th><th>#</th><th>Deity</th><th>Bhajan</th><th>Singer</th><th>Scale</th><th>Speed</th></tr>
+    </thead>
+    <tbody>
+      ${rowsHtml}
+      <tr class="closing">
+        <td>${timeline.closing.start_time}</td>
+        <td></td>
+        <td colspan="5">${timeline.closing.label} (${timeline.closing.duration_minutes} min)</td>
+      </tr>
+    </tbody>
+  </table>
+  <p class="note${overrun ? " overrun" : ""}">${overrun || `Expected to finish around ${timeline.finish_time}.`}</p>`
+  });
+}
+
+module.exports = { choosePlanPage, planViewPage, planChangesPage, harmoniumPage, printPlanPage };
@@ -0,0 +1,1394 @@
+// ============================================================
+// WEB FORM VIEWS - /submit-form
+// ============================================================
+
+const { html, raw, jsArg, scriptJson } = require('./html');
+const { page } = require('./layout');
+const { SAFFRON_GRADIENT, CENTRED_BODY_STYLE, CARD_STYLE, options, WATCH_SESSION_SCRIPT } = require('./partials');
+
+const FONT_LINK = raw('<link href="https://fonts.googleapis.com/css2?family=Poppins:wght@300;400;500;600;700&display=swap" rel="stylesheet">');
+
+const SUBMIT_FORM_STYLE = raw(`
+    * { 
+      margin: 0; 
+      padding: 0; 
+      box-sizing: border-box; 
+    }
+    
+    body {
+      font-family: 'Poppins', 'Segoe UI', sans-serif;
+      background: linear-gradient(135deg, #fff5e6 0%, #ffe8cc 50%, #ffd9a3 100%);
+      min-height: 100vh;
+      padding: 20px;
+      position: relative;
+      overflow-x: hidden;
+    }
+    
+    /* Decorative background elements */
+    body::before {
+      content: '';
+      position: fixed;
+      top: -50%;
+      right: -50%;
+      width: 100%;
+      height: 100%;
+      background: radial-gradient(circle, rgba(255,153,51,0.1) 0%, transparent 70%);
+      z-index: 0;
+      animation: float 20s ease-in-out infinite;
+    }
+    
+    body::after {
+      content: '';
+      position: fixed;
+      bottom: -50%;
+      left: -50%;
+      width: 100%;
+      height: 100%;
+      background: radial-gradient(circle, rgba(255,119,0,0.08) 0%, transparent 70%);
+      z-index: 0;
+      animation: float 25s ease-in-out infinite reverse;
+    }
+    
+    @keyframes float {
+      0%, 100% { transform: translate(0, 0) rotate(0deg); }
+      33% { transform: translate(30px, -30px) rotate(5deg); }
+      66% { transform: translate(-20px, 20px) rotate(-5deg); }
+    }
+    
+    .container {
+      max-width: 650px;
+      margin: 0 auto;
+      background: rgba(255, 255, 255, 0.95);
+      backdrop-filter: blur(10px);
+      border-radius: 24px;
+      box-shadow: 0 20px 60px rgba(255, 119, 0, 0.15), 
+                  0 10px 30px rgba(0, 0, 0, 0.1);
+      overflow: hidden;
+      position: relative;
+      z-index: 1;
+      animation: slideUp 0.6s ease-out;
+    }
+    
+    @keyframes slideUp {
+      from {
+        opacity: 0;
+        transform: translateY(30px);
+      }
+      to {
+        opacity: 1;
+        transform: translateY(0);
+      }
+    }
+    
+    /* Sairam Header with Om symbol */
+    .sairam-header {
+      background: linear-gradient(135deg, #ffd93d 0%, #ffc107 50%, #ffb300 100%);
+      color: #8b4513;
+      text-align: center;
+      padding: 16px;
+      font-size: 20px;
+      font-weight: 700;
+      letter-spacing: 2px;
+      text-shadow: 2px 2px 4px rgba(255,255,255,0.5);
+      position: relative;
+      overflow: hidden;
+    }
+    
+    .sairam-header::before {
+      content: '🕉️';
+      position: absolute;
+      font-size: 120px;
+      opacity: 0.1;
+      left: -20px;
+      top: -30px;
+      animation: pulse 3s ease-in-out infinite;
+    }
+    
+    .sairam-header::after {
+      content: '🕉️';
+      position: absolute;
+      font-size: 120px;
+      opacity: 0.1;
+      right: -20px;
+      top: -30px;
+      animation: pulse 3s ease-in-out infinite 1.5s;
+    }
+    
+    @keyframes pulse {
+      0%, 100% { transform: scale(1); opacity: 0.1; }
+      50% { transform: scale(1.1); opacity: 0.15; }
+    }
+    
+    /* Main Header with gradient */
+    .header {
+      background: linear-gradient(135deg, #ff9933 0%, #ff7700 50%, #ff6600 100%);
+      color: white;
+      padding: 32px 24px;
+      text-align: center;
+      position: relative;
+      overflow: hidden;
+    }
+    
+    .header::before {
+      content: '';
+      position: absolute;
+      top: 0;
+      left: -100%;
+      width: 100%;
+      height: 100%;
+      background: linear-gradient(90deg, transparent, rgba(255,255,255,0.2), transparent);
+      animation: shimmer 3s infinite;
+    }
+    
+    @keyframes shimmer {
+      0% { left: -100%; }
+      100% { left: 100%; }
+    }
+    
+    .header h1 { 
+      font-size: 26px; 
+      font-weight: 700; 
+      margin-bottom: 6px;
+      position: relative;
+      text-shadow: 2px 2px 4px rgba(0,0,0,0.2);
+    }
+    
+    .header p { 
+      font-size: 14px; 
+      opacity: 0.95;
+      font-weight: 300;
+      letter-spacing: 0.5px;
+    }
+    
+    .signed-in {
+      position: relative;
+      margin-top: 10px;
+      font-size: 13px;
+    }
+    
+    .signed-in button {
+      background: none;
+      border: none;
+      color: white;
+      font-size: 13px;
+      text-decoration: underline;
+      cursor: pointer;
+    }
+    
+    /* Beautiful Tabs */
+    .tabs {
+      display: flex;
+      background: linear-gradient(to bottom, #ffffff, #f8f9fa);
+      border-bottom: 3px solid #ffe8cc;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.05);
+    }
+    
+    .tab {
+      flex: 1;
+      padding: 18px;
+      text-align: center;
+      font-size: 15px;
+      font-weight: 600;
+      color: #868e96;
+      cursor: pointer;
+      border: none;
+      background: none;
+      transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+      position: relative;
+    }
+    
+    .tab::before {
+      content: '';
+      position: absolute;
+      bottom: 0;
+      left: 50%;
+      transform: translateX(-50%) scaleX(0);
+      width: 80%;
+      height: 3px;
+      background: linear-gradient(90deg, #ff9933, #ff7700);
+      border-radius: 3px 3px 0 0;
+      transition: transform 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+    }
+    
+    .tab.active {
+      color: #ff7700;
+      background: white;
+    }
+    
+    .tab.active::before {
+      transform: translateX(-50%) scaleX(1);
+    }
+    
+    .tab:hover:not(.active) { 
+      background: #fef5e7;
+      color: #ff9933;
+    }
+    
+    /* Tab Content */
+    .tab-content { 
+      display: none; 
+      padding: 32px 28px;
+      animation: fadeIn 0.5s ease-out;
+    }
+    
+    .tab-content.active { 
+      display: block; 
+    }
+    
+    @keyframes fadeIn {
+      from { opacity: 0; transform: translateY(10px); }
+      to { opacity: 1; transform: translateY(0); }
+    }
+    
+    /* History Tab */
+    .history-lookup {
+      display: flex;
+      gap: 10px;
+      margin-bottom: 16px;
+    }
+    
+    .history-lookup input {
+      flex: 1;
+      padding: 12px 16px;
+      border: 2px solid #dee2e6;
+      border-radius: 12px;
+      font-size: 14px;
+      font-family: 'Poppins', sans-serif;
+    }
+    
+    .history-lookup button,
+    .pager button {
+      padding: 10px 18px;
+      background: linear-gradient(135deg, #ff9933 0%, #ff7700 100%);
+      color: white;
+      border: none;
+      border-radius: 12px;
+      font-weight: 600;
+      cursor: pointer;
+      font-family: 'Poppins', sans-serif;
+    }
+    
+    .pager button:disabled {
+      opacity: 0.4;
+      cursor: default;
+    }
+    
+    .history-session {
+      background: linear-gradient(135deg, #f8f9fa 0%, #e9ecef 100%);
+      border: 2px solid #e9ecef;
+      border-radius: 16px;
+      padding: 16px;
+      margin-bottom: 16px;
+    }
+    
+    .history-date {
+      font-weight: 700;
+      color: #e65100;
+      margin-bottom: 8px;
+    }
+    
+    .history-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 13px;
+    }
+    
+    .history-table td,
+    .history-table th {
+      padding: 6px 4px;
+      border-bottom: 1px solid #dee2e6;
+      text-align: left;
+      vertical-align: top;
+    }
+    
+    .history-singer {
+      font-size: 11px;
+      color: #868e96;
+    }
+    
+    .pager {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      font-size: 13px;
+      color: #495057;
+      margin: 8px 0 24px;
+    }
+    
+    /* Beautiful Progress Bar */
+    .progress-section {
+      background: linear-gradient(135deg, #f8f9fa 0%, #e9ecef 100%);
+      padding: 20px;
+      border-radius: 16px;
+      margin-bottom: 28px;
+      border: 2px solid #e9ecef;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.05);
+    }
+    
+    .progress-label {
+      display: flex;
+      justify-content: space-between;
+      font-size: 13px;
+      color: #495057;
+      margin-bottom: 12px;
+      font-weight: 500;
+    }
+    
+    .progress-bar {
+      height: 12px;
+      background: #e9ecef;
+      border-radius: 20px;
+      overflow: hidden;
+      box-shadow: inset 0 2px 4px rgba(0,0,0,0.1);
+      position: relative;
+    }
+    
+    .progress-fill {
+      height: 100%;
+      background: linear-gradient(90deg, #51cf66 0%, #40c057 50%, #37b24d 100%);
+      border-radius: 20px;
+      transition: width 0.6s cubic-bezier(0.4, 0, 0.2, 1);
+      position: relative;
+      overflow: hidden;
+    }
+    
+    .progress-fill::after {
+      content: '';
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: linear-gradient(90deg, transparent, rgba(255,255,255,0.3), transparent);
+      animation: progressShimmer 2s infinite;
+    }
+    
+    @keyframes progressShimmer {
+      0% { transform: translateX(-100%); }
+      100% { transform: translateX(100%); }
+    }
+    
+    /* Date Section */
+    .date-section { 
+      margin-bottom: 28px; 
+    }
+    
+    .date-section label {
+      display: block;
+      font-size: 14px;
+      font-weight: 600;
+      color: #495057;
+      margin-bottom: 10px;
+    }
+    
+    .window-notice {
+      margin-top: 10px;
+      padding: 10px 14px;
+      border-radius: 10px;
+      background: #f1f3f5;
+      color: #495057;
+      font-size: 13px;
+    }
+    
+    .window-notice.closed {
+      background: #fff5f5;
+      color: #c92a2a;
+      font-weight: 600;
+    }
+    
+    .date-section select {
+      width: 100%;
+      padding: 14px 16px;
+      border: 2px solid #e9ecef;
+      border-radius: 12px;
+      font-size: 15px;
+      background: #f8f9fa;
+      transition: all 0.3s;
+      font-family: 'Poppins', sans-serif;
+    }
+    
+    /* Section Titles */
+    .section-title {
+      font-size: 17px;
+      font-weight: 700;
+      color: #343a40;
+      margin-bottom: 12px;
+      display: flex;
+      align-items: center;
+      gap: 8px;
+    }
+    
+    .section-title::before {
+      content: '✨';
+      font-size: 20px;
+    }
+    
+    /* Beautiful Deity Grid */
+    .deity-grid {
+      display: grid;
+      grid-template-columns: repeat(3, 1fr);
+      gap: 14px;
+      margin-bottom: 20px;
+    }
+    
+    .deity-card {
+      background: linear-gradient(135deg, #ffffff 0%, #f8f9fa 100%);
+      border: 2px solid #dee2e6;
+      border-radius: 16px;
+      padding: 18px 14px;
+      text-align: center;
+      cursor: pointer;
+      transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+      position: relative;
+      overflow: hidden;
+    }
+    
+    .deity-card::before {
+      content: '';
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: radial-gradient(circle at center, rgba(255,255,255,0.8), transparent);
+      opacity: 0;
+      transition: opacity 0.3s;
+    }
+    
+    .deity-card:hover::before {
+      opacity: 1;
+    }
+    
+    /* Available Cards */
+    .deity-card.available {
+      background: linear-gradient(135deg, #ffffff 0%, #f1f3f5 100%);
+      border-color: #ced4da;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.08);
+    }
+    
+    .deity-card.available:hover {
+      border-color: #ff9933;
+      transform: translateY(-4px) scale(1.02);
+      box-shadow: 0 8px 24px rgba(255, 153, 51, 0.25);
+    }
+    
+    /* Taken Cards - Green Gradient */
+    .deity-card.taken {
+      background: linear-gradient(135deg, #d3f9d8 0%, #b2f2bb 100%);
+      border-color: #8ce99a;
+      box-shadow: 0 2px 8px rgba(81, 207, 102, 0.2);
+      cursor: pointer;
+    }
+    
+    .deity-card.taken:hover {
+      border-color: #51cf66;
+      transform: translateY(-4px) scale(1.02);
+      box-shadow: 0 8px 24px rgba(81, 207, 102, 0.35);
+    }
+    
+    /* Selected Card - Blue */
+    .deity-card.selected {
+      background: linear-gradient(135deg, #e7f5ff 0%, #d0ebff 100%);
+      border-color: #4dabf7;
+      border-width: 3px;
+      box-shadow: 0 8px 24px rgba(77, 171, 247, 0.4);
+      transform: scale(1.05);
+    }
+    
+    .deity-card.optional { 
+      grid-column: 2; 
+    }
+    
+    /* Coloured Cards - colour comes from the template slot */
+    .coloured-card {
+      background: linear-gradient(135deg, #ffffff 0%, var(--card-colour) 100%) !important;
+      border-color: var(--card-colour) !important;
+      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1) !important;
+    }
+    
+    .coloured-card:hover {
+      box-shadow: 0 8px 24px rgba(0, 0, 0, 0.15) !important;
+    }
+    
+    .optional-cards {
+      display: grid;
+      gap: 14px;
+      margin-bottom: 20px;
+    }
+    
+    .deity-name {
+      font-size: 14px;
+      font-weight: 700;
+      color: #343a40;
+      margin-bottom: 10px;
+      position: relative;
+      z-index: 1;
+    }
+    
+    /* Beautiful Badges */
+    .badge {
+      display: inline-block;
+      padding: 5px 12px;
+      border-radius: 20px;
+      font-size: 10px;
+      font-weight: 700;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+      position: relative;
+      z-index: 1;
+      box-shadow: 0 2px 6px rgba(0,0,0,0.1);
+    }
+    
+    .badge-available { 
+      background: linear-gradient(135deg, #e9ecef 0%, #dee2e6 100%);
+      color: #6c757d; 
+    }
+    
+    .badge-taken { 
+      background: linear-gradient(135deg, #51cf66 0%, #40c057 100%);
+      color: white; 
+    }
+    
+    .badge-optional { 
+      background: linear-gradient(135deg, #ffe066 0%, #ffd43b 100%);
+      color: #7a5f0c; 
+    }
+    
+    .singer-name {
+      font-size: 11px;
+      color: #495057;
+      margin-top: 8px;
+      font-weight: 500;
+      position: relative;
+      z-index: 1;
+    }
+    
+    /* Beautiful Modal */
+    .modal {
+      display: none;
+      position: fixed;
+      z-index: 1000;
+      left: 0;
+      top: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.6);
+      backdrop-filter: blur(4px);
+      animation: fadeIn 0.3s;
+    }
+    
+    .modal.show {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    }
+    
+    .modal-content {
+      background: white;
+      padding: 28px;
+      border-radius: 20px;
+      max-width: 420px;
+      width: 90%;
+      box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+      animation: modalSlideUp 0.4s cubic-bezier(0.4, 0, 0.2, 1);
+    }
+    
+    @keyframes modalSlideUp {
+      from {
+        transform: translateY(50px) scale(0.9);
+        opacity: 0;
+      }
+      to {
+        transform: translateY(0) scale(1);
+        opacity: 1;
+      }
+    }
+    
+    .modal-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin-bottom: 24px;
+      padding-bottom: 16px;
+      border-bottom: 2px solid #f1f3f5;
+    }
+    
+    .modal-header h3 { 
+      font-size: 20px; 
+      color: #343a40; 
+      margin: 0;
+      font-weight: 700;
+    }
+    
+    .close-btn {
+      background: #f8f9fa;
+      border: none;
+      font-size: 28px;
+      color: #adb5bd;
+      cursor: pointer;
+      line-height: 1;
+      padding: 4px 12px;
+      border-radius: 8px;
+      transition: all 0.3s;
+    }
+    
+    .close-btn:hover { 
+      background: #ff6b6b;
+      color: white;
+      transform: rotate(90deg);
+    }
+    
+    .detail-row {
+      margin: 14px 0;
+      padding: 14px;
+      background: linear-gradient(135deg, #f8f9fa 0%, #e9ecef 100%);
+      border-radius: 12px;
+      border-left: 4px solid #ff9933;
+    }
+    
+    .detail-label {
+      font-size: 11px;
+      color: #868e96;
+      text-transform: uppercase;
+      letter-spacing: 1px;
+      margin-bottom: 6px;
+      font-weight: 600;
+    }
+    
+    .detail-value {
+      font-size: 16px;
+      color: #343a40;
+      font-weight: 600;
+    }
+    
+    /* Singer Details Form */
+    .singer-details {
+      background: linear-gradient(135deg, #f8f9fa 0%, #e9ecef 100%);
+      padding: 24px;
+      border-radius: 16px;
+      margin-bottom: 28px;
+      border: 2px solid #dee2e6;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.05);
+    }
+    
+    .form-group { 
+      margin-bottom: 18px; 
+    }
+    
+    .form-group label {
+      display: block;
+      font-size: 14px;
+      font-weight: 600;
+      color: #495057;
+      margin-bottom: 8px;
+    }
+    
+    .required { 
+      color: #ff6b6b;
+      font-size: 16px;
+    }
+    
+    .form-group input,
+    .form-group select {
+      width: 100%;
+      padding: 12px 16px;
+      border: 2px solid #dee2e6;
+      border-radius: 12px;
+      font-size: 14px;
+      transition: all 0.3s;
+      background: white;
+      font-family: 'Poppins', sans-serif;
+    }
+    
+    .form-group input:focus,
+    .form-group select:focus {
+      outline: none;
+      border-color: #ff9933;
+      box-shadow: 0 0 0 4px rgba(255, 153, 51, 0.1);
+      transform: translateY(-2px);
+    }
+    
+    /* Bhajan Details Section */
+    .bhajan-details {
+      display: none;
+      background: linear-gradient(135deg, #fff3e0 0%, #ffe0b2 100%);
+      border: 3px solid #ffb74d;
+      border-radius: 16px;
+      padding: 24px;
+      margin-top: 28px;
+      animation: slideDown 0.4s cubic-bezier(0.4, 0, 0.2, 1);
+      box-shadow: 0 8px 24px rgba(255, 183, 77, 0.2);
+    }
+    
+    .bhajan-details.show { 
+      display: block; 
+    }
+    
+    @keyframes slideDown {
+      from {
+        opacity: 0;
+        transform: translateY(-20px);
+      }
+      to {
+        opacity: 1;
+        transform: translateY(0);
+      }
+    }
+    
+    .bhajan-details h3 {
+      font-size: 18px;
+      color: #e65100;
+      margin-bottom: 20px;
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      font-weight: 700;
+    }
+    
+    /* Beautiful Submit Button */
+    .submit-btn {
+      width: 100%;
+      padding: 16px;
+      background: linear-gradient(135deg, #ff9933 0%, #ff7700 50%, #ff6600 100%);
+      color: white;
+      border: none;
+      border-radius: 12px;
+      font-size: 17px;
+      font-weight: 700;
+      cursor: pointer;
+      margin-top: 24px;
+      transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+      box-shadow: 0 4px 16px rgba(255, 119, 0, 0.3);
+      position: relative;
+      overflow: hidden;
+    }
+    
+    .submit-btn::before {
+      content: '';
+      position: absolute;
+      top: 0;
+      left: -100%;
+      width: 100%;
+      height: 100%;
+      background: linear-gradient(90deg, transparent, rgba(255,255,255,0.3), transparent);
+      transition: left 0.5s;
+    }
+    
+    .submit-btn:hover {
+      transform: translateY(-3px);
+      box-shadow: 0 8px 28px rgba(255, 119, 0, 0.4);
+    }
+    
+    .submit-btn:hover::before {
+      left: 100%;
+    }
+    
+    .submit-btn:active {
+      transform: translateY(-1px);
+    }
+    
+    .helper-text {
+      font-size: 12px;
+      color: #868e96;
+      margin-top: 6px;
+      font-style: italic;
+    }
+    
+    /* Responsive Design */
+    @media (max-width: 480px) {
+      .deity-grid { 
+        grid-template-columns: repeat(2, 1fr);
+        gap: 12px;
+      }
+      
+      .deity-card.optional { 
+        grid-column: span 2; 
+      }
+      
+      .header h1 {
+        font-size: 22px;
+      }
+      
+      .container {
+        border-radius: 20px;
+      }
+    }
+`);
+
+// One deity card. Taken cards show who has the slot and open their details;
+// available ones are claimed by the form's script.
+function deityCard({ deity, mandatory, colour, status }) {
+  return html`
+        <div class="deity-card ${status.taken ? "taken" : "available"}${colour ? " coloured-card" : ""}" data-deity="${deity}" ${colour ? html`style="--card-colour: ${colour};"` : ""} ${status.taken
+          ? html`onclick="showDetails(${jsArg(deity)}, ${jsArg(status.by)}, ${jsArg(status.bhajan)}, ${jsArg(status.scale)}, ${jsArg(status.speed)})"`
+          : ""}>
+          <div class="deity-name">${deity}${mandatory ? "" : html` <span style="font-size:12px;">(Optional)</span>`}</div>
+          ${status.taken
+            ? html`<span class="badge badge-taken">✓ Taken</span>`
+            : mandatory
+              ? html`<span class="badge badge-available">Available</span>`
+              : html`<span class="badge badge-optional">Optional</span>`}
+          ${status.taken ? html`<div class="singer-name">${status.by}</div>` : ""}
+        </div>
+      `;
+}
+
+// The submission form. slots carry each template slot with its status from
+// getSlotBoard(); the cards refresh live as other singers claim them.
+// A singer's own name and phone are filled in from their account.
+function submitFormPage({ session, sessionOptions, closedReason, cutoff, progress, slots, scaleOptions, holdMinutes, user }) {
+  const singer = user.role === "singer" ? user : {};
+
+  return page({
+    title: "Bhajan Scheduler - Sai Centre Gandhinagar",
+    head: FONT_LINK,
+    style: SUBMIT_FORM_STYLE,
+    body: html`  <div class="container">
+    <div class="sairam-header">🕉️ AUM SHRI SAIRAM 🕉️</div>
+    
+    <div class="header">
+      <h1>📋 Bhajan Scheduler</h1>
+      <p>Sri Sathya Sai Seva Organisation - Gandhinagar</p>
+      <form class="signed-in" method="post" action="/logout">
+        Signed in as ${user.name} · <button type="submit">Sign out</button>
+      </form>
+    </div>
+    
+    <div class="tabs">
+      <button class="tab active" onclick="switchTab('scheduler')">📋 Scheduler</button>
+      <button class="tab" onclick="switchTab('history')">📚 History</button>
+    </div>
+    
+    <div id="scheduler" class="tab-content active">
+      <div class="progress-section">
+        <div class="progress-label">
+          <span><strong>Session Progress</strong></span>
+          <span id="progressText">${progress.mandatoryFilled}/${progress.mandatoryTotal} Mandatory | ${progress.optionalFilled}/${progress.optionalTotal} Optional</span>
+        </div>
+        <div class="progress-bar">
+          <div class="progress-fill" id="progressFill" style="width: ${progress.mandatoryTotal ? (progress.mandatoryFilled / progress.mandatoryTotal) * 100 : 100}%"></div>
+        </div>
+      </div>
+      
+      <form method="post" action="/submit-form" id="bhajanForm">
+        <div class="date-section">
+          <label>📅 Bhajan Session</label>
+          <select id="sessionSelect" onchange="window.location.href = '/submit-form?session_id=' + this.value">
+            ${options(sessionOptions, session.id)}
+          </select>
+          <input type="hidden" name="session_id" value="${session.id}" />
+          <div class="helper-text">Slots below are for the selected session</div>
+          ${closedReason
+            ? html`<div class="window-notice closed" id="windowNotice">🔒 ${closedReason}</div>`
+            : html`<div class="window-notice" id="windowNotice">Submissions close on ${cutoff}</div>`}
+        </div>
+        
+        <div class="singer-details">
+          <div class="form-group">
+            <label>Singer Name <span class="required">*</span></label>
+            <input type="text" name="singer_name" value="${singer.name}" required placeholder="Start typing to find your name"
+                   list="singerSuggestions" autocomplete="off" />
+            <datalist id="singerSuggestions"></datalist>
+            <div class="helper-text">Pick your name from the list so your history stays together</div>
+          </div>
+          
+          <div class="form-group">
+            <label>Gender <span class="required">*</span></label>
+            <select name="gender" required>
+              <option value="">Select gender</option>
+              <option value="Male">Male</option>
+              <option value="Female">Female</option>
+              <option value="Other">Other</option>
+            </select>
+          </div>
+          
+          <div class="form-group">
+            <label>Partner / Harmonium Player (optional)</label>
+            <input type="text" name="partner_name" placeholder="Leave blank if singing solo"
+                   list="partnerSuggestions" autocomplete="off" />
+            <datalist id="partnerSuggestions"></datalist>
+          </div>
+          
+          <div class="form-group">
+            <label>Phone (optional)</label>
+            <input type="tel" name="phone" value="${singer.phone}" placeholder="Only the convenor can see this" />
+          </div>
+        </div>
+        
+        <div class="section-title">Choose Deity <span class="required">*</span></div>
+        <div class="helper-text" style="margin-bottom:16px;">
+          Tap available (grey) to select • Tap taken (green) to view details
+        </div>
+        
+        <div class="deity-grid">
+          ${slots.filter(slot => slot.mandatory).map(deityCard)}
+        </div>
+        
+        <div class="optional-cards">
+          ${slots.filter(slot => !slot.mandatory).map(deityCard)}
+        </div>
+        
+        <input type="hidden" name="deity" id="selectedDeity" required />
+        <input type="hidden" name="hold_token" id="holdToken" />
+        
+        <div class="bhajan-details" id="bhajanDetails">
+          <h3>
+            <span>📝</span>
+            <span>Bhajan Details for <strong id="deityDisplay">---</strong></span>
+          </h3>
+          <div class="helper-text">The slot is kept for you for ${holdMinutes} minutes while you fill this in.</div>
+          
+          <div class="form-group">
+            <label>Bhajan Title <span class="required">*</span></label>
+            <input type="text" name="title" required placeholder="Start typing to search the catalog"
+                   list="bhajanSuggestions" autocomplete="off" />
+            <datalist id="bhajanSuggestions"></datalist>
+          </div>
+          
+          <div class="form-group">
+            <label>Speed <span class="required">*</span></label>
+            <select name="speed" required>
+              <option value="">Select speed</option>
+              <option value="slow">Slow (Vilambit)</option>
+              <option value="medium">Medium (Madhya)</option>
+              <option value="fast">Fast (Drut)</option>
+            </select>
+          </div>
+          
+          <div class="form-group">
+            <label>Scale / Sa (optional)</label>
+            <input type="text" name="scale" placeholder="e.g. C#, D, Kali 2, 5 Safed"
+                   list="scaleSuggestions" autocomplete="off" />
+            <datalist id="scaleSuggestions">
+              ${scaleOptions.map(scale => html`<option value="${scale.value}">${scale.label}</option>`)}
+            </datalist>
+            <div class="helper-text" id="scaleFeedback">Leave blank if you're not sure</div>
+          </div>
+          
+          <button type="submit" class="submit-btn" ${closedReason ? "disabled" : ""}>Submit Bhajan 🙏</button>
+        </div>
+      </form>
+    </div>
+    
+    <div id="history" class="tab-content">
+      <div class="section-title">My Singing History</div>
+      <form class="history-lookup" onsubmit="lookupSinger(1); return false;">
+        <input type="text" id="historySinger" placeholder="Enter your name as you submit it" required />
+        <button type="submit">Look up</button>
+      </form>
+      <div id="singerHistory"></div>
+      
+      <div class="section-title">Past Sessions</div>
+      <div id="pastSessions"><div class="helper-text">Loading...</div></div>
+    </div>
+  </div>
+  
+  <div id="detailsModal" class="modal">
+    <div class="modal-content">
+      <div class="modal-header">
+        <h3 id="modalDeityName">Deity Details</h3>
+        <button class="close-btn" onclick="closeModal()">&times;</button>
+      </div>
+      <div class="detail-row">
+        <div class="detail-label">Singer</div>
+        <div class="detail-value" id="modalSinger">---</div>
+      </div>
+      <div class="detail-row">
+        <div class="detail-label">Bhajan Title</div>
+        <div class="detail-value" id="modalBhajan">---</div>
+      </div>
+      <div class="detail-row">
+        <div class="detail-label">Scale</div>
+        <div class="detail-value" id="modalScale">---</div>
+      </div>
+      <div class="detail-row">
+        <div class="detail-label">Speed</div>
+        <div class="detail-value" id="modalSpeed">---</div>
+      </div>
+    </div>
+  </div>
+  
+  <script>
+    function switchTab(tabName) {
+      document.querySelectorAll('.tab-content').forEach(tab => tab.classList.remove('active'));
+      document.querySelectorAll('.tab').forEach(tab => tab.classList.remove('active'));
+      document.getElementById(tabName).classList.add('active');
+      event.target.classList.add('active');
+      if (tabName === 'history' && !historyLoaded) loadPastSessions(1);
+    }
+    
+    let historyLoaded = false;
+    
+    function esc(value) {
+      const div = document.createElement('div');
+      div.textContent = value == null ? '' : value;
+      return div.innerHTML.replace(/"/g, '&quot;');
+    }
+    
+    function pagerHtml(data, loader) {
+      if (data.total_pages <= 1) return '';
+      return '<div class="pager">' +
+        '<button type="button" onclick="' + loader + '(' + (data.page - 1) + ')"' + (data.page <= 1 ? ' disabled' : '') + '>← Newer</button>' +
+        '<span>Page ' + data.page + ' of ' + data.total_pages + '</span>' +
+        '<button type="button" onclick="' + loader + '(' + (data.page + 1) + ')"' + (data.page >= data.total_pages ? ' disabled' : '') + '>Older →</button>' +
+        '</div>';
+    }
+    
+    function loadPastSessions(page) {
+      historyLoaded = true;
+      fetch('/api/history?page=' + page)
+        .then(response => response.json())
+        .then(data => {
+          const box = document.getElementById('pastSessions');
+          if (data.sessions.length === 0) {
+            box.innerHTML = '<div class="helper-text">No past sessions yet.</div>';
+            return;
+          }
+          box.innerHTML = data.sessions.map(session =>
+            '<div class="history-session">' +
+              '<div class="history-date">📅 ' + esc(session.session_date) + '</div>' +
+              '<table class="history-table">' +
+                session.plan.map(item =>
+                  '<tr><td>' + item.order + '</td><td>' + esc(item.deity) + '</td>' +
+                  '<td>' + esc(item.title) + '<div class="history-singer">' + esc(item.singer) +
+                  (item.partner ? ' (' + esc(item.partner) + ')' : '') + '</div></td>' +
+                  '<td>' + esc(item.scale) + '</td><td>' + esc(item.speed) + '</td></tr>'
+                ).join('') +
+              '</table>' +
+            '</div>'
+          ).join('') + pagerHtml(data, 'loadPastSessions');
+        })
+        .catch(() => {
+          document.getElementById('pastSessions').innerHTML = '<div class="helper-text">Could not load history.</div>';
+        });
+    }
+    
+    function lookupSinger(page) {
+      const name = document.getElementById('historySinger').value.trim();
+      if (!name) return;
+      fetch('/api/history/singer?name=' + encodeURIComponent(name) + '&page=' + page)
+        .then(response => response.json())
+        .then(data => {
+          const box = document.getElementById('singerHistory');
+          if (data.records.length === 0) {
+            box.innerHTML = '<div class="helper-text" style="margin-bottom:24px;">No bhajans found for ' + esc(data.singer) + '.</div>';
+            return;
+          }
+          box.innerHTML =
+            '<div class="history-session">' +
+              '<div class="history-date">🎤 ' + esc(data.singer) + ' – ' + data.total_bhajans + ' bhajan(s)</div>' +
+              '<table class="history-table">' +
+                '<tr><th>Date</th><th>Deity</th><th>Bhajan</th><th>Scale</th><th>Speed</th></tr>' +
+                data.records.map(item =>
+                  '<tr><td>' + esc(item.session_date) + '</td><td>' + esc(item.deity) + '</td>' +
+                  '<td>' + esc(item.title) + '</td><td>' + esc(item.scale) + '</td><td>' + esc(item.speed) + '</td></tr>'
+                ).join('') +
+              '</table>' +
+            '</div>' + pagerHtml(data, 'lookupSinger');
+        });
+    }
+    
+    function showDetails(deity, singer, bhajan, scale, speed) {
+      document.getElementById('modalDeityName').textContent = deity + ' Bhajan';
+      document.getElementById('modalSinger').textContent = singer;
+      document.getElementById('modalBhajan').textContent = bhajan;
+      document.getElementById('modalScale').textContent = scale || 'Not specified';
+      document.getElementById('modalSpeed').textContent = speed.charAt(0).toUpperCase() + speed.slice(1);
+      document.getElementById('detailsModal').classList.add('show');
+    }
+    
+    function closeModal() {
+      document.getElementById('detailsModal').classList.remove('show');
+    }
+    
+    window.onclick = function(event) {
+      const modal = document.getElementById('detailsModal');
+      if (event.target == modal) closeModal();
+    }
+    
+    let selectedDeity = null;
+    
+    function chooseDeity(card) {
+      document.querySelectorAll('.deity-card').forEach(c => c.classList.remove('selected'));
+      card.classList.add('selected');
+      selectedDeity = card.dataset.deity;
+      document.getElementById('selectedDeity').value = selectedDeity;
+      document.getElementById('deityDisplay').textContent = selectedDeity;
+      document.getElementById('bhajanDetails').classList.add('show');
+      setTimeout(() => {
+        document.getElementById('bhajanDetails').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+      }, 100);
+    }
+    
+    // Hold the slot while the singer fills in the form. If the hold request
+    // fails to reach the server, carry on; the submit still checks the slot.
+    // Cards change between taken and available live, so check on each click.
+    document.querySelectorAll('.deity-card').forEach(card => {
+      card.addEventListener('click', function() {
+        if (!card.classList.contains('available')) return;
+        const holdToken = document.getElementById('holdToken');
+        fetch('/slots/hold', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            session_id: document.querySelector('input[name="session_id"]').value,
+            deity: card.dataset.deity,
+            hold_token: holdToken.value
+          })
+        })
+          .then(response => response.json().then(data => ({ ok: response.ok, data })))
+          .then(({ ok, data }) => {
+            if (!ok) {
+              alert('⚠️ ' + data.error);
+              return;
+            }
+            holdToken.value = data.hold_token;
+            chooseDeity(card);
+          })
+          .catch(() => chooseDeity(card));
+      });
+    });
+    
+    // Fill a datalist from a search endpoint as the user types, and call
+    // onChoose when the typed value matches one of the suggestions
+    function attachAutocomplete(input, listId, labelField, searchUrl, onChoose) {
+      let matches = [];
+      let searchTimer = null;
+      
+      input.addEventListener('input', function() {
+        clearTimeout(searchTimer);
+        
+        const chosen = matches.find(match => match[labelField] === input.value);
+        if (chosen) {
+          if (onChoose) onChoose(chosen);
+          return;
+        }
+        
+        if (input.value.trim().length < 2) return;
+        searchTimer = setTimeout(() => {
+          fetch(searchUrl(input.value))
+            .then(response => response.json())
+            .then(results => {
+              matches = results;
+              document.getElementById(listId).innerHTML =
+                results.map(match => '<option value="' + esc(match[labelField]) + '"></option>').join('');
+            });
+        }, 200);
+      });
+    }
+    
+    // Title autocomplete against the bhajan catalog
+    attachAutocomplete(
+      document.querySelector('input[name="title"]'), 'bhajanSuggestions', 'title',
+      q => '/bhajans/search?q=' + encodeURIComponent(q) + '&deity=' + encodeURIComponent(selectedDeity || ''),
+      chosen => {
+        const speedSelect = document.querySelector('select[name="speed"]');
+        if (!speedSelect.value && chosen.usual_speed) speedSelect.value = chosen.usual_speed;
+      }
+    );
+    
+    // Singer and partner autocomplete against the singer registry
+    attachAutocomplete(
+      document.querySelector('input[name="singer_name"]'), 'singerSuggestions', 'name',
+      q => '/singers/search?q=' + encodeURIComponent(q),
+      chosen => {
+        const genderSelect = document.querySelector('select[name="gender"]');
+        if (chosen.gender) genderSelect.value = chosen.gender;
+        if (!scaleInput.value && chosen.preferred_scale) {
+          scaleInput.value = chosen.preferred_scale;
+          checkScale();
+        }
+      }
+    );
+    attachAutocomplete(
+      document.querySelector('input[name="partner_name"]'), 'partnerSuggestions', 'name',
+      q => '/singers/search?q=' + encodeURIComponent(q)
+    );
+    
+    // Show how the scale will be read, or what to type instead
+    const scaleInput = document.querySelector('input[name="scale"]');
+    const scaleFeedback = document.getElementById('scaleFeedback');
+    let scaleTimer = null;
+    function checkScale() {
+      clearTimeout(scaleTimer);
+      if (!scaleInput.value.trim()) {
+        scaleFeedback.textContent = "Leave blank if you're not sure";
+        scaleFeedback.style.color = '';
+        return;
+      }
+      scaleTimer = setTimeout(() => {
+        fetch('/scales/parse?q=' + encodeURIComponent(scaleInput.value))
+          .then(response => response.json())
+          .then(result => {
+            scaleFeedback.textContent = result.recognised
+              ? '✓ ' + result.label
+              : 'Not recognised. Try ' + result.suggestions.slice(0, 4).join(', ');
+            scaleFeedback.style.color = result.recognised ? '#2b8a3e' : '#c92a2a';
+          })
+          .catch(() => {});
+      }, 200);
+    }
+    scaleInput.addEventListener('input', checkScale);
+    
+    function updateCard(card, slot) {
+      card.querySelectorAll('.badge, .singer-name').forEach(el => el.remove());
+      card.classList.toggle('taken', slot.taken);
+      card.classList.toggle('available', !slot.taken);
+      
+      if (slot.taken) {
+        card.insertAdjacentHTML('beforeend',
+          '<span class="badge badge-taken">✓ Taken</span><div class="singer-name">' + esc(slot.singer) + '</div>');
+        card.onclick = () => showDetails(slot.deity, slot.singer, slot.title, slot.scale, slot.speed);
+        if (selectedDeity === slot.deity) {
+          card.classList.remove('selected');
+          selectedDeity = null;
+          document.getElementById('selectedDeity').value = '';
+          document.getElementById('bhajanDetails').classList.remove('show');
+          alert('⚠️ The ' + slot.deity + ' slot has just been taken. Please choose another deity.');
+        }
+      } else {
+        card.insertAdjacentHTML('beforeend', slot.mandatory
+          ? '<span class="badge badge-available">Available</span>'
+          : '<span class="badge badge-optional">Optional</span>');
+        card.onclick = null;
+      }
+    }
+    
+    function refreshSlots() {
+      fetch('/sessions/' + ${scriptJson(session.id)} + '/slots')
+        .then(response => response.json())
+        .then(board => {
+          document.querySelectorAll('.deity-card').forEach(card => {
+            const slot = board.slots.find(s => s.deity === card.dataset.deity);
+            if (slot) updateCard(card, slot);
+          });
+          
+          const p = board.progress;
+          document.getElementById('progressText').textContent =
+            p.mandatoryFilled + '/' + p.mandatoryTotal + ' Mandatory | ' + p.optionalFilled + '/' + p.optionalTotal + ' Optional';
+          document.getElementById('progressFill').style.width =
+            (p.mandatoryTotal ? (p.mandatoryFilled / p.mandatoryTotal) * 100 : 100) + '%';
+          
+          const notice = document.getElementById('windowNotice');
+          const submitButton = document.querySelector('.submit-btn');
+          if (board.closed_reason) {
+            notice.className = 'window-notice closed';
+            notice.textContent = '🔒 ' + board.closed_reason;
+            submitButton.disabled = true;
+          } else if (submitButton.disabled) {
+            notice.className = 'window-notice';
+            notice.textContent = 'Submissions are open again';
+            submitButton.disabled = false;
+          }
+        })
+        .catch(() => {});
+    }
+    
+    ${WATCH_SESSION_SCRIPT}
+    
+    watchSession(${scriptJson(session.id)}, refreshSlots);
+    
+    document.getElementById('bhajanForm').addEventListener('submit', function(e) {
+      if (!selectedDeity) {
+        e.preventDefault();
+        alert('⚠️ Please select a deity first');
+        return false;
+      }
+    });
+  </script>`
+  });
+}
+
+const SUBMITTED_STYLE = html`${CENTRED_BODY_STYLE}${CARD_STYLE}
+    .success-icon {
+      font-size: 64px;
+      margin-bottom: 16px;
+      animation: bounce 0.6s;
+    }
+    @keyframes bounce {
+      0%, 100% { transform: translateY(0); }
+      50% { transform: translateY(-20px); }
+    }
+    h2 { color: #2f9e44; margin-bottom: 8px; }
+    .greeting { font-size: 20px; color: #495057; margin-bottom: 24px; }
+    .details-box {
+      background: #d3f9d8;
+      border: 2px solid #8ce99a;
+      border-radius: 12px;
+      padding: 20px;
+      margin: 24px 0;
+      text-align: left;
+    }
+    .details-box div { margin: 8px 0; color: #2b8a3e; }
+    .details-box strong { color: #1864ab; }
+    .button-group { display: flex; flex-direction: column; gap: 12px; margin-top: 24px; }
+    a.button {
+      display: block;
+      padding: 12px;
+      text-decoration: none;
+      border-radius: 8px;
+      font-weight: 600;
+      transition: transform 0.3s;
+    }
+    a.button:hover { transform: translateY(-2px); }
+    .primary {
+      background: ${SAFFRON_GRADIENT};
+      color: white;
+    }
+    .secondary {
+      background: #f1f3f5;
+      color: #495057;
+      border: 2px solid #dee2e6;
+    }
+    .note { font-size: 13px; color: #868e96; margin-top: 16px; }
+    .edit-link {
+      background: #e7f5ff;
+      border: 2px solid #a5d8ff;
+      border-radius: 8px;
+      padding: 12px;
+      margin-top: 16px;
+      font-size: 13px;
+      color: #495057;
+      word-break: break-all;
+    }
+    .edit-link a { color: #1864ab; }`;
+
+// Confirmation with the singer's private edit link
+function submittedPage({ sessionId, sessionLabel, singerName, deity, title, speed, scale, editLink, cutoff }) {
+  return page({
+    title: "Bhajan Submitted Successfully",
+    style: SUBMITTED_STYLE,
+    body: html`  <div class="container">
+    <div class="success-icon">✅</div>
+    <h2>Bhajan Submitted Successfully!</h2>
+    <div class="greeting">🙏 Sai Ram, ${singerName}!</div>
+    
+    <div class="details-box">
+      <div><strong>Deity:</strong> ${deity}</div>
+      <div><strong>Bhajan:</strong> ${title}</div>
+      <div><strong>Speed:</strong> ${speed}</div>
+      <div><strong>Scale:</strong> ${scale || "Not specified"}</div>
+      <div><strong>Session:</strong> ${sessionLabel}</div>
+    </div>
+    
+    <p style="color:#495057;">Your bhajan has been recorded. The ${deity} slot is now marked as taken.</p>
+    
+    <div class="button-group">
+      <a class="button primary" href="/submit-form?session_id=${sessionId}">View Updated Slots</a>
+      <a class="button secondary" href="/plan-view?session_id=${sessionId}">View Full Session Plan</a>
+    </div>
+    
+    <div class="edit-link">
+      🔗 <strong>Your private link</strong> to change the title, scale or speed, or to withdraw:<br>
+      <a href="${editLink}">${editLink}</a>
+    </div>
+    
+    <div class="note">
+      ⚠️ Keep this link to yourself. It works until ${cutoff}.<br>
+      After that, please contact the convenor if you made a mistake.
+    </div>
+  </div>`
+  });
+}
+
+module.exports = { submitFormPage, submittedPage };